@@ -0,0 +1,152 @@
+/**
+ * Voice clone audio transcoding with ffmpeg
+ * Converts the browser recording (audio/webm) into the format a TTS provider expects,
+ * trimming leading/trailing silence and normalizing loudness on the way
+ */
+
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+// Silence below this level at either end of the recording is removed
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_MIN_DURATION = 0.2; // seconds
+
+// EBU R128 target, the usual level for speech
+const LOUDNESS_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+const FFMPEG_TIMEOUT_SECONDS = 30;
+
+let ffmpegAvailable = null;
+
+/**
+ * Check once whether the ffmpeg binary can be run (FFMPEG_PATH or PATH)
+ * @returns {Promise<boolean>}
+ */
+export function isFfmpegAvailable() {
+  if (!ffmpegAvailable) {
+    ffmpegAvailable = new Promise((resolve) => {
+      ffmpeg.getAvailableFormats((error) => {
+        if (error) {
+          console.warn(`[Transcoder] ffmpeg not available: ${error.message}`);
+        }
+        resolve(!error);
+      });
+    });
+  }
+  return ffmpegAvailable;
+}
+
+/**
+ * Build the audio filter chain
+ * silenceremove only trims the start, so the audio is reversed to trim the end too
+ */
+function buildFilters({ trimSilence, normalize }) {
+  const filters = [];
+
+  if (trimSilence) {
+    const trimStart = `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD}:start_silence=${SILENCE_MIN_DURATION}`;
+    filters.push(trimStart, 'areverse', trimStart, 'areverse');
+  }
+  if (normalize) {
+    filters.push(LOUDNESS_FILTER);
+  }
+
+  return filters;
+}
+
+/**
+ * Transcode a recording for voice cloning
+ * @param {Buffer} inputBuffer - Recorded audio (any container ffmpeg can read)
+ * @param {Object} target - Provider clone format from getCloneAudioFormat()
+ *   { container: 'wav', codec: 'pcm_s16le', sampleRate: 24000, channels: 1, mimeType, extension }
+ * @param {Object} options - { trimSilence: true, normalize: true }
+ * @returns {Promise<Buffer>} - Transcoded audio
+ */
+export async function transcodeAudio(inputBuffer, target, { trimSilence = true, normalize = true } = {}) {
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'voice-clone-'));
+  // Written to a file rather than a pipe so ffmpeg can fill in the WAV header sizes
+  const outputPath = path.join(tempDir, `clone.${target.extension}`);
+  const startTime = Date.now();
+
+  try {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg({ timeout: FFMPEG_TIMEOUT_SECONDS })
+        .input(Readable.from(inputBuffer))
+        .noVideo()
+        .audioChannels(target.channels)
+        .audioFrequency(target.sampleRate)
+        .audioCodec(target.codec)
+        .format(target.container)
+        .on('end', resolve)
+        .on('error', (error, stdout, stderr) => {
+          const detail = (stderr || '').trim().split('\n').pop();
+          reject(new Error(`ffmpeg failed: ${error.message}${detail ? ` (${detail})` : ''}`));
+        });
+
+      const filters = buildFilters({ trimSilence, normalize });
+      if (filters.length > 0) {
+        command.audioFilters(filters);
+      }
+
+      command.save(outputPath);
+    });
+
+    const outputBuffer = await fs.promises.readFile(outputPath);
+    console.log(`[Transcoder] ${inputBuffer.length} bytes -> ${target.mimeType} ${target.sampleRate}Hz/${target.channels}ch, ${outputBuffer.length} bytes in ${Date.now() - startTime}ms`);
+    return outputBuffer;
+
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Prepare a recording for a provider's clone API
+ * Falls back to the original recording when ffmpeg is missing or fails, so cloning still works
+ * @param {Buffer} audioBuffer - Recorded audio
+ * @param {string} mimeType - MIME type of the recording
+ * @param {Object} target - Provider clone format from getCloneAudioFormat()
+ * @returns {Promise<{audio: Buffer, mimeType: string, transcoded: boolean}>}
+ */
+export async function prepareCloneAudio(audioBuffer, mimeType, target) {
+  if (!target || !(await isFfmpegAvailable())) {
+    return { audio: audioBuffer, mimeType: mimeType, transcoded: false };
+  }
+
+  try {
+    const audio = await transcodeAudio(audioBuffer, target);
+    return { audio: audio, mimeType: target.mimeType, transcoded: true };
+  } catch (error) {
+    console.error('[Transcoder] Transcoding failed, sending original recording:', error.message);
+    return { audio: audioBuffer, mimeType: mimeType, transcoded: false };
+  }
+}
+
+/**
+ * Decode any recording to a mono 16-bit WAV without filtering (for analysis)
+ * @param {Buffer} audioBuffer - Recorded audio
+ * @param {number} sampleRate - Output sample rate
+ * @returns {Promise<Buffer>} - WAV file contents
+ */
+export async function decodeToWav(audioBuffer, sampleRate = 16000) {
+  const target = {
+    container: 'wav',
+    codec: 'pcm_s16le',
+    sampleRate: sampleRate,
+    channels: 1,
+    mimeType: 'audio/wav',
+    extension: 'wav'
+  };
+  return transcodeAudio(audioBuffer, target, { trimSilence: false, normalize: false });
+}
+
+/**
+ * File extension for a MIME type (used for upload file names)
+ */
+export function extensionForMimeType(mimeType) {
+  const subtype = (mimeType || '').split(';')[0].split('/')[1] || 'webm';
+  return { 'x-wav': 'wav', wave: 'wav', mpeg: 'mp3', 'x-m4a': 'm4a' }[subtype] || subtype;
+}
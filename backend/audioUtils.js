@@ -0,0 +1,172 @@
+/**
+ * Audio format utilities
+ * Parses RIFF/WAV headers and converts TTS output to mono 16-bit PCM at a target sample rate
+ */
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Parse a RIFF/WAV file
+ * Walks the chunk list instead of assuming a 44 byte header, so LIST/fact chunks
+ * and WAVE_FORMAT_EXTENSIBLE headers are handled
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {{audioFormat: number, sampleRate: number, channels: number, bitsPerSample: number, data: Buffer}}
+ */
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Invalid WAV data: missing RIFF/WAVE header');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+    // Streaming encoders write 0 or 0xFFFFFFFF as the data size, so clamp to what we have
+    const chunkEnd = Math.min(chunkStart + chunkSize, buffer.length);
+
+    if (chunkId === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(chunkStart);
+      if (audioFormat === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+        // Sub-format GUID starts with the actual format code
+        audioFormat = buffer.readUInt16LE(chunkStart + 24);
+      }
+
+      format = {
+        audioFormat: audioFormat,
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    }
+    else if (chunkId === 'data') {
+      const end = chunkSize === 0 || chunkSize === 0xFFFFFFFF ? buffer.length : chunkEnd;
+      data = buffer.subarray(chunkStart, end);
+      break;
+    }
+
+    // Chunks are padded to an even size
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format) {
+    throw new Error('Invalid WAV data: missing fmt chunk');
+  }
+  if (!data) {
+    throw new Error('Invalid WAV data: missing data chunk');
+  }
+  if (format.audioFormat !== WAVE_FORMAT_PCM && format.audioFormat !== WAVE_FORMAT_IEEE_FLOAT) {
+    throw new Error(`Unsupported WAV encoding: format code ${format.audioFormat}`);
+  }
+
+  return { ...format, data };
+}
+
+/**
+ * Decode interleaved samples into a mono Float32Array (-1..1), averaging all channels
+ */
+export function decodeToMono(data, { audioFormat, channels, bitsPerSample }) {
+  const bytesPerSample = bitsPerSample / 8;
+  const frameSize = bytesPerSample * channels;
+  const frameCount = Math.floor(data.length / frameSize);
+  const samples = new Float32Array(frameCount);
+
+  const readSample = (position) => {
+    if (audioFormat === WAVE_FORMAT_IEEE_FLOAT) {
+      return bitsPerSample === 64 ? data.readDoubleLE(position) : data.readFloatLE(position);
+    }
+
+    switch (bitsPerSample) {
+      case 8: return (data.readUInt8(position) - 128) / 128;
+      case 16: return data.readInt16LE(position) / 32768;
+      case 24: return data.readIntLE(position, 3) / 8388608;
+      case 32: return data.readInt32LE(position) / 2147483648;
+      default: throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+    }
+  };
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(frame * frameSize + channel * bytesPerSample);
+    }
+    samples[frame] = sum / channels;
+  }
+
+  return samples;
+}
+
+/**
+ * Resample with linear interpolation
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const outputLength = Math.max(1, Math.round(samples.length / ratio));
+  const output = new Float32Array(outputLength);
+
+  for (let i = 0; i < outputLength; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = samples[Math.min(index, samples.length - 1)] * (1 - fraction) + samples[next] * fraction;
+  }
+
+  return output;
+}
+
+/**
+ * Encode Float32 samples as 16-bit little-endian PCM (with clipping)
+ */
+export function floatToPcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(value < 0 ? value * 32768 : value * 32767), i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Convert a WAV file to mono pcm_s16le
+ * @param {Buffer} wavBuffer - WAV file contents
+ * @param {number|null} targetSampleRate - Resample to this rate (null keeps the source rate)
+ * @returns {{audio: Buffer, sampleRate: number, format: string, source: Object}}
+ */
+export function wavToPcm16(wavBuffer, targetSampleRate = null) {
+  const wav = parseWav(wavBuffer);
+  const sampleRate = targetSampleRate || wav.sampleRate;
+
+  let audio;
+  if (wav.audioFormat === WAVE_FORMAT_PCM && wav.bitsPerSample === 16 && wav.channels === 1 && sampleRate === wav.sampleRate) {
+    // Already in the target format, no need to decode
+    audio = wav.data.subarray(0, wav.data.length - (wav.data.length % 2));
+  } else {
+    const mono = decodeToMono(wav.data, wav);
+    audio = floatToPcm16(resample(mono, wav.sampleRate, sampleRate));
+  }
+
+  return {
+    audio: audio,
+    sampleRate: sampleRate,
+    format: 'pcm_s16le',
+    source: {
+      sampleRate: wav.sampleRate,
+      channels: wav.channels,
+      bitsPerSample: wav.bitsPerSample
+    }
+  };
+}
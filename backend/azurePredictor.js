@@ -4,6 +4,7 @@
 
 import { AzureOpenAI } from 'openai';
 import dotenv from 'dotenv';
+import { rankCandidates } from './predictionCandidates.js';
 
 dotenv.config();
 
@@ -16,6 +17,8 @@ export class AzurePredictor {
     });
 
     this.deploymentName = process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4.1-mini';
+    // Number of candidates: the completion and the likeliest alternatives to its first token (3-5 recommended)
+    this.candidateCount = Math.min(5, Math.max(1, parseInt(process.env.PREDICTION_CANDIDATES, 10) || 5));
     this.conversationHistory = [];
   }
 
@@ -24,9 +27,10 @@ export class AzurePredictor {
    * @param {string} context - The current conversation context
    * @param {string} userHistory - User's previous speech for personalization
    * @param {string} language - Language code ('ja' or 'en')
-   * @returns {Promise<{word: string, confidence: number, reasoning: string}>}
+   * @param {Object} options - { signal: AbortSignal } to cancel the request
+   * @returns {Promise<{word: string, confidence: number, candidates: Array, reasoning: string}>}
    */
-  async predict(context, userHistory = '', language = 'ja') {
+  async predict(context, userHistory = '', language = 'ja', { signal } = {}) {
     try {
       const systemPrompt = language === 'ja'
         ? `あなたは日本語音声の次単語予測エンジンです。話者が次に言いそうな自然な単語またはフレーズを予測してください。
@@ -68,28 +72,43 @@ Next word the speaker is likely to say:`;
         max_tokens: 10,
         temperature: 0.7,
         top_p: 0.9,
-      });
+        logprobs: true,
+        top_logprobs: this.candidateCount
+      }, { signal });
 
       const predictedText = response.choices[0].message.content.trim();
       console.log(`[Azure OpenAI] Raw response: "${predictedText}"`);
 
       // Take up to 3 words as a natural phrase (matches the prompt instruction)
-      const words = predictedText.split(/\s+/).slice(0, 3).join(' ').trim();
+      const candidates = rankCandidates(
+        response.choices[0],
+        text => text.split(/\s+/).slice(0, 3).join(' ').trim(),
+        this.candidateCount
+      );
+      const best = candidates[0];
 
-      console.log(`[Azure OpenAI] Predicted word: "${words}" for context: "${context}"`);
+      console.log(`[Azure OpenAI] Predicted word: "${best?.word || ''}" for context: "${context}"`);
+      console.log(`[Azure OpenAI] Candidates: ${candidates.map(c => `${c.word} (${c.score})`).join(', ')}`);
 
       return {
-        word: words || null,
-        confidence: words ? 0.8 : 0,
+        word: best ? best.word : null,
+        confidence: best ? best.score : 0,
+        candidates: candidates,
         reasoning: 'llm_prediction',
         rawResponse: predictedText
       };
 
     } catch (error) {
+      if (signal?.aborted) {
+        console.log(`[Azure OpenAI] Prediction aborted (${signal.reason})`);
+        return { word: null, confidence: 0, candidates: [], reasoning: 'aborted' };
+      }
+
       console.error('[Azure OpenAI] Prediction error:', error.message);
       return {
         word: null,
         confidence: 0,
+        candidates: [],
         reasoning: 'error',
         error: error.message
       };
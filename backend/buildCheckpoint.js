@@ -0,0 +1,84 @@
+/**
+ * Embedding checkpoint of a knowledge base build
+ * buildRAG.js appends every embedding to rag-knowledge/<name>.checkpoint.jsonl as soon as
+ * it arrives. If the build is cancelled or crashes, the next build of the same knowledge
+ * base reuses them instead of paying for the embeddings again. The file is removed once
+ * the knowledge base is saved.
+ *
+ * Line 1 is a header { embeddingModel }, every other line { key, embedding } where key is
+ * a hash of the chunk text and embedding is base64 little-endian float32
+ */
+
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { knowledgeBasePaths } from './knowledgeBaseStore.js';
+
+export class BuildCheckpoint {
+  /**
+   * @param {string} manifestPath - Path of the knowledge base's <name>.json
+   * @param {string} embeddingModel - Embeddings of another model are not reused
+   */
+  constructor(manifestPath, embeddingModel) {
+    this.path = knowledgeBasePaths(manifestPath).checkpoint;
+    this.embeddingModel = embeddingModel;
+  }
+
+  static key(text) {
+    return createHash('sha256').update(text).digest('base64');
+  }
+
+  /**
+   * Embeddings saved by an interrupted build
+   * @returns {Map<string, Float32Array>} - Chunk text key -> embedding
+   */
+  load() {
+    const embeddings = new Map();
+    if (!fs.existsSync(this.path)) {
+      return embeddings;
+    }
+
+    const [header, ...lines] = fs.readFileSync(this.path, 'utf-8').split('\n');
+    try {
+      if (JSON.parse(header).embeddingModel !== this.embeddingModel) {
+        console.log('[Checkpoint] Ignoring checkpoint made with another embedding model');
+        return embeddings;
+      }
+    } catch (error) {
+      console.warn(`[Checkpoint] Ignoring unreadable checkpoint: ${error.message}`);
+      return embeddings;
+    }
+
+    for (const line of lines) {
+      // The last line may be cut short if the build was killed while writing it
+      try {
+        const { key, embedding } = JSON.parse(line);
+        const bytes = Buffer.from(embedding, 'base64');
+        embeddings.set(key, new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)));
+      } catch {
+        continue;
+      }
+    }
+    return embeddings;
+  }
+
+  /**
+   * Start a checkpoint, or continue the one of an interrupted build
+   * @returns {Map<string, Float32Array>} - Embeddings saved by the interrupted build
+   */
+  open() {
+    const embeddings = this.load();
+    if (embeddings.size === 0) {
+      fs.writeFileSync(this.path, JSON.stringify({ embeddingModel: this.embeddingModel }) + '\n');
+    }
+    return embeddings;
+  }
+
+  append(text, embedding) {
+    const bytes = Buffer.from(Float32Array.from(embedding).buffer);
+    fs.appendFileSync(this.path, JSON.stringify({ key: BuildCheckpoint.key(text), embedding: bytes.toString('base64') }) + '\n');
+  }
+
+  remove() {
+    fs.rmSync(this.path, { force: true });
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * RAG knowledge base build jobs
+ * Each build runs buildRAG.js in a child process in the background. Its BUILD_PROGRESS
+ * lines become phase and percentage progress, and every change is reported through
+ * onUpdate (server.js pushes it to the WebSocket clients). A cancelled or failed build can
+ * be resumed: buildRAG.js picks up the embeddings it checkpointed (see buildCheckpoint.js)
+ */
+
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+// Share of the overall percentage per phase, in build order
+const PHASE_WEIGHTS = { read: 10, chunk: 5, embed: 75, save: 10 };
+const PHASES = Object.keys(PHASE_WEIGHTS);
+
+// Last lines of build output kept per job
+const LOG_LINES = 200;
+
+/**
+ * Extract the BUILD_SUMMARY line printed by buildRAG.js
+ */
+function parseBuildSummary(lines) {
+  const line = lines.findLast(l => l.startsWith('BUILD_SUMMARY '));
+  if (!line) return null;
+
+  try {
+    return JSON.parse(line.slice('BUILD_SUMMARY '.length));
+  } catch (error) {
+    console.warn('[Build Jobs] Unreadable build summary:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Overall percentage for a phase's progress
+ */
+function overallPercent(phase, done, total) {
+  let percent = 0;
+  for (const name of PHASES) {
+    if (name === phase) {
+      return Math.round(percent + PHASE_WEIGHTS[name] * (total > 0 ? done / total : 1));
+    }
+    percent += PHASE_WEIGHTS[name];
+  }
+  return 0;
+}
+
+export class BuildJobManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.scriptPath - Path of buildRAG.js
+   * @param {string} options.cwd - Working directory of the builds (project root)
+   * @param {Function} options.onUpdate - (job) => void, called on every status or progress change
+   * @param {number} options.maxFinishedJobs - Finished jobs kept for listing
+   */
+  constructor({ scriptPath, cwd, onUpdate = () => {}, maxFinishedJobs = 20 }) {
+    this.scriptPath = scriptPath;
+    this.cwd = cwd;
+    this.onUpdate = onUpdate;
+    this.maxFinishedJobs = maxFinishedJobs;
+
+    this.jobs = new Map();      // id -> job, oldest first
+    this.processes = new Map(); // id -> child process of a running job
+    this.logs = new Map();      // id -> last output lines
+  }
+
+  /**
+   * Start a build
+   * @param {Object} options - { knowledgeFolder, modelName, language, chunkSize, chunkOverlap, fullRebuild, include, exclude }
+   *   include and exclude are glob pattern arrays passed to buildRAG.js
+   * @param {string|null} resumedFrom - ID of the job this one resumes
+   * @returns {Object} - The job
+   */
+  start({ knowledgeFolder, modelName, language, chunkSize = 500, chunkOverlap = 50, fullRebuild = false, include = [], exclude = [] }, resumedFrom = null) {
+    const job = {
+      id: randomUUID(),
+      knowledgeFolder,
+      modelName,
+      language,
+      chunkSize,
+      chunkOverlap,
+      fullRebuild,
+      include,
+      exclude,
+      resumedFrom,
+      status: 'running',   // running | completed | failed | cancelled
+      phase: null,         // read | chunk | embed | save
+      progress: { done: 0, total: 0 },
+      percent: 0,
+      summary: null,       // BUILD_SUMMARY of a completed build
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.logs.set(job.id, []);
+    this.pruneFinished();
+
+    console.log(`[Build Jobs] Starting ${job.id}:`, { knowledgeFolder, modelName, language, fullRebuild });
+
+    const buildProcess = spawn('node', [
+      this.scriptPath,
+      knowledgeFolder,
+      modelName,
+      language,
+      chunkSize.toString(),
+      chunkOverlap.toString(),
+      ...(fullRebuild ? ['--full'] : []),
+      ...(include.length > 0 ? [`--include=${include.join(',')}`] : []),
+      ...(exclude.length > 0 ? [`--exclude=${exclude.join(',')}`] : [])
+    ], {
+      cwd: this.cwd
+    });
+    this.processes.set(job.id, buildProcess);
+
+    let pendingOutput = '';
+    buildProcess.stdout.on('data', (data) => {
+      pendingOutput += data.toString();
+      const lines = pendingOutput.split('\n');
+      pendingOutput = lines.pop();
+      lines.forEach(line => this.handleLine(job, line));
+    });
+
+    buildProcess.stderr.on('data', (data) => {
+      const text = data.toString().trim();
+      console.error(`[BuildRAG Error] ${text}`);
+      this.appendLog(job, text);
+    });
+
+    buildProcess.on('close', (code) => {
+      if (job.status === 'failed') return; // Could not be started, already reported
+      if (pendingOutput) this.handleLine(job, pendingOutput);
+      this.processes.delete(job.id);
+      job.finishedAt = new Date().toISOString();
+
+      if (job.status === 'cancelled') {
+        console.log(`[Build Jobs] ${job.id} cancelled`);
+      } else if (code === 0) {
+        job.status = 'completed';
+        job.percent = 100;
+        job.summary = parseBuildSummary(this.logs.get(job.id));
+        console.log(`[Build Jobs] ${job.id} completed (${modelName})`);
+      } else {
+        job.status = 'failed';
+        job.error = this.logs.get(job.id).filter(line => /error/i.test(line)).pop() || `Build exited with code ${code}`;
+        console.error(`[Build Jobs] ${job.id} failed with code:`, code);
+      }
+      this.onUpdate(job);
+    });
+
+    buildProcess.on('error', (error) => {
+      console.error('[Build Jobs] Error spawning build process:', error);
+      this.processes.delete(job.id);
+      job.status = 'failed';
+      job.error = `Failed to start build process: ${error.message}`;
+      job.finishedAt = new Date().toISOString();
+      this.onUpdate(job);
+    });
+
+    this.onUpdate(job);
+    return job;
+  }
+
+  handleLine(job, line) {
+    if (line.startsWith('BUILD_PROGRESS ')) {
+      let progress;
+      try {
+        progress = JSON.parse(line.slice('BUILD_PROGRESS '.length));
+      } catch {
+        return;
+      }
+
+      const percent = overallPercent(progress.phase, progress.done, progress.total);
+      const changed = progress.phase !== job.phase || percent !== job.percent;
+      job.phase = progress.phase;
+      job.progress = { done: progress.done, total: progress.total };
+      job.percent = percent;
+      // Embedding reports every batch, clients only need to hear about whole percents
+      if (changed) this.onUpdate(job);
+      return;
+    }
+
+    console.log(`[BuildRAG] ${line}`);
+    this.appendLog(job, line);
+  }
+
+  appendLog(job, text) {
+    const log = this.logs.get(job.id);
+    log.push(...text.split('\n'));
+    log.splice(0, Math.max(0, log.length - LOG_LINES));
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond maxFinishedJobs
+   */
+  pruneFinished() {
+    const finished = [...this.jobs.values()].filter(job => job.status !== 'running');
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+      this.jobs.delete(job.id);
+      this.logs.delete(job.id);
+    }
+  }
+
+  /**
+   * @returns {Object|null} - The job with its recent output lines
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job, log: this.logs.get(id) } : null;
+  }
+
+  /**
+   * All jobs, newest first
+   */
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  /**
+   * Running job building a knowledge base, if any
+   */
+  findRunning(modelName) {
+    return [...this.jobs.values()].find(job => job.status === 'running' && job.modelName === modelName) || null;
+  }
+
+  /**
+   * Running job reading a knowledge folder ("knowledge-data/<name>"), if any
+   */
+  findReading(knowledgeFolder) {
+    return [...this.jobs.values()].find(job => job.status === 'running' && job.knowledgeFolder === knowledgeFolder) || null;
+  }
+
+  /**
+   * Stop a running build (its checkpoint is kept for resuming)
+   * @returns {boolean} - false if the job is not running
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    const buildProcess = this.processes.get(id);
+    if (!job || job.status !== 'running' || !buildProcess) {
+      return false;
+    }
+
+    job.status = 'cancelled';
+    buildProcess.kill('SIGTERM');
+    this.onUpdate(job);
+    return true;
+  }
+
+  /**
+   * Start a new job with the options of a cancelled or failed one
+   * Embeddings checkpointed by the interrupted build are reused
+   * @returns {Object|null} - The new job, null if the job is unknown or was neither
+   *   cancelled nor failed
+   */
+  resume(id) {
+    const job = this.jobs.get(id);
+    if (!job || (job.status !== 'cancelled' && job.status !== 'failed')) {
+      return null;
+    }
+    return this.start(job, job.id);
+  }
+}
@@ -1,255 +1,392 @@
 /**
  * Build RAG knowledge base from documents
- * Usage: node backend/buildRAG.js <input-folder> <output-name> <language>
+ * Usage: node backend/buildRAG.js <input-folder> <output-name> <language> [chunk-size] [chunk-overlap]
+ *          [--full] [--include=<glob>,...] [--exclude=<glob>,...]
+ *
+ * Subfolders are read too; --include and --exclude narrow down the files (see
+ * listKnowledgeFiles). Rebuilds are incremental: the knowledge base records a content hash
+ * per file, so only new or changed files are embedded again and chunks of deleted files are
+ * dropped. --full ignores the existing knowledge base. The last stdout line is
+ * "BUILD_SUMMARY <json>" with the added, updated and removed files, and every file that was
+ * read or skipped with the reason
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { PDFExtract } from 'pdf.js-extract';
-import mammoth from 'mammoth';
 import { AzureOpenAI } from 'openai';
 import dotenv from 'dotenv';
+import { createHash } from 'crypto';
+import { listKnowledgeFiles, readDocument, segmentAt } from './documentReader.js';
+import { EmbeddingBatcher } from './embeddingBatcher.js';
+import { LexicalIndex } from './lexicalIndex.js';
+import { TextChunker, CHUNK_UNITS } from './textChunker.js';
+import { HnswIndex } from './hnswIndex.js';
+import { getEmbeddingDeployment } from './embeddingConfig.js';
+import { BuildCheckpoint } from './buildCheckpoint.js';
+import { readKnowledgeBase, writeKnowledgeBase, knowledgeBaseSize, VECTOR_ENCODINGS } from './knowledgeBaseStore.js';
+import { knowledgeBaseName, resolveInside, RAG_KNOWLEDGE_DIR, LANGUAGES } from './validation.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const pdfExtract = new PDFExtract();
-
 // Initialize Azure OpenAI client
+// Retries are handled by EmbeddingBatcher (with Retry-After), not by the client
 const client = new AzureOpenAI({
   apiKey: process.env.AZURE_OPENAI_API_KEY,
   endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-  apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+  apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+  maxRetries: 0
 });
 
-const embeddingModel = process.env.AZURE_OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002';
+// Recorded in the knowledge base, RAGPredictor refuses to query it with another deployment
+const embeddingModel = getEmbeddingDeployment();
+
+// Stored vector precision: 'float32' or 'int8' (4x smaller, slightly less precise)
+const vectorEncoding = process.env.RAG_VECTOR_ENCODING || 'float32';
+
+// Knowledge bases with at least this many chunks get an HNSW nearest-neighbour index
+// (smaller ones are searched by a full scan, which is fast enough)
+const annMinChunks = parseInt(process.env.RAG_ANN_MIN_CHUNKS, 10) || 2000;
+
+// Unit of chunk size and overlap: 'characters' or 'tokens' (estimated)
+const chunkUnit = process.env.RAG_CHUNK_UNIT || 'characters';
+
+// Knowledge bases of another version are rebuilt from scratch
+// (2: chunks record source file, page or section and character offsets,
+//  3: sentence-aware chunks with character overlap, see textChunker.js)
+const KNOWLEDGE_BASE_VERSION = 3;
+
+// Chunks per embeddings request, requests in flight and retries per request
+const embeddingBatchSize = parseInt(process.env.RAG_EMBEDDING_BATCH_SIZE, 10) || 16;
+const embeddingConcurrency = parseInt(process.env.RAG_EMBEDDING_CONCURRENCY, 10) || 4;
+const embeddingMaxRetries = parseInt(process.env.RAG_EMBEDDING_MAX_RETRIES ?? '5', 10);
+
+/**
+ * Machine-readable progress for build jobs (see buildJobManager.js)
+ * @param {string} phase - 'read', 'chunk', 'embed' or 'save'
+ */
+function reportProgress(phase, done, total) {
+  console.log(`BUILD_PROGRESS ${JSON.stringify({ phase, done, total })}`);
+}
 
 class RAGBuilder {
   constructor(language = 'ja', chunkSize = 500, chunkOverlap = 50) {
     this.language = language;
-    this.chunkSize = chunkSize; // Characters per chunk
+    this.chunkSize = chunkSize; // Characters (or estimated tokens) per chunk
     this.chunkOverlap = chunkOverlap; // Overlap between chunks
+    this.chunker = new TextChunker({ chunkSize, chunkOverlap, unit: chunkUnit });
     this.chunks = [];
+    this.failedChunks = [];
+    this.readErrors = [];
+    this.resumedChunks = 0; // Embeddings taken from an interrupted build's checkpoint
   }
 
   /**
-   * Split text into overlapping chunks
+   * Load the previous build of this knowledge base if its chunks can be reused
+   * @returns {{data: Object|null, reason: string|null}} - data is null for a full rebuild
    */
-  chunkText(text) {
-    const chunks = [];
-    const sentences = this.language === 'ja'
-      ? text.split(/[。！？\n]+/).filter(s => s.trim().length > 0)
-      : text.split(/[.!?\n]+/).filter(s => s.trim().length > 0);
+  loadPrevious(outputPath) {
+    if (!fs.existsSync(outputPath)) {
+      return { data: null, reason: 'new knowledge base' };
+    }
 
-    let currentChunk = '';
+    let data;
+    try {
+      const { manifest, chunks, lexicalIndex } = readKnowledgeBase(outputPath);
+      data = { ...manifest, chunks, lexicalIndex };
+    } catch (error) {
+      return { data: null, reason: `previous knowledge base is unreadable (${error.message})` };
+    }
 
-    for (const sentence of sentences) {
-      const trimmed = sentence.trim();
-      if (!trimmed) continue;
+    // Knowledge bases without file hashes or chunk provenance
+    if (data.version !== KNOWLEDGE_BASE_VERSION) {
+      return { data: null, reason: 'previous knowledge base was built by an older version' };
+    }
 
-      if ((currentChunk + trimmed).length > this.chunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk.trim());
+    // Chunks made with other settings or another embedding model can't be mixed in
+    if (data.language !== this.language || data.chunkSize !== this.chunkSize ||
+      data.chunkOverlap !== this.chunkOverlap || data.chunkUnit !== chunkUnit) {
+      return { data: null, reason: 'language or chunk settings changed' };
+    }
+    if (data.embeddingModel !== embeddingModel) {
+      return { data: null, reason: `embedding model changed (${data.embeddingModel} -> ${embeddingModel})` };
+    }
 
-        // Add overlap from end of previous chunk
-        const words = currentChunk.split(/\s+/);
-        const overlapWords = words.slice(-Math.floor(this.chunkOverlap / 10));
-        currentChunk = overlapWords.join(' ') + ' ' + trimmed;
+    return { data: data, reason: null };
+  }
+
+  /**
+   * Compare the folder with the previous build
+   * Files whose chunks partly failed last time count as updated so they are retried
+   * @param {Array<{name: string, fullPath: string}>} files - Current files
+   * @param {Object|null} previous - Previous knowledge base (null = everything is new)
+   */
+  planBuild(files, previous) {
+    const previousFiles = previous?.files || {};
+    const plan = { added: [], updated: [], unchanged: [], removed: [] };
+
+    for (const file of files) {
+      const content = fs.readFileSync(file.fullPath);
+      file.hash = createHash('sha256').update(content).digest('hex');
+      file.size = content.length;
+
+      const before = previousFiles[file.name];
+      if (!before) {
+        plan.added.push(file);
+      } else if (before.hash !== file.hash || before.failedChunks > 0) {
+        plan.updated.push(file);
       } else {
-        currentChunk += (currentChunk ? ' ' : '') + trimmed;
+        plan.unchanged.push(file);
       }
     }
 
-    if (currentChunk.trim().length > 0) {
-      chunks.push(currentChunk.trim());
-    }
+    const currentNames = new Set(files.map(file => file.name));
+    plan.removed = Object.keys(previousFiles).filter(name => !currentNames.has(name));
 
-    return chunks;
+    return plan;
   }
 
   /**
-   * Create embedding for text
+   * Read, chunk and embed files
+   * @param {Array<{name: string, fullPath: string, hash: string, size: number}>} files - Files to (re)embed
+   * @param {BuildCheckpoint} checkpoint - Embeddings of an interrupted build are taken from
+   *   here, new ones are added as they arrive
+   * @returns {Promise<Object>} - File records by name for the files that could be read
    */
-  async createEmbedding(text) {
-    try {
-      const response = await client.embeddings.create({
-        model: embeddingModel,
-        input: text
-      });
+  async processFiles(files, checkpoint) {
+    const pending = []; // { text, source, chunkIndex, start, end, page?, section? }
+    const records = {};
+    const documents = [];
 
-      return response.data[0].embedding;
-    } catch (error) {
-      console.error('[RAG Builder] Error creating embedding:', error.message);
-      throw error;
+    for (const [i, file] of files.entries()) {
+      try {
+        documents.push({ file, document: await readDocument(file.fullPath) });
+      } catch (error) {
+        // Not recorded, so the next build tries the file again
+        console.error(`[RAG Builder] Error reading ${file.name}: ${error.message}`);
+        this.readErrors.push({ file: file.name, error: error.message });
+      }
+      reportProgress('read', i + 1, files.length);
     }
-  }
 
-  /**
-   * Process text and create embeddings
-   */
-  async processText(text) {
-    const textChunks = this.chunkText(text);
-    console.log(`[RAG Builder] Created ${textChunks.length} chunks`);
+    for (const [i, { file, document }] of documents.entries()) {
+      const textChunks = document.text.trim().length > 0 ? this.chunker.chunk(document.text) : [];
+      textChunks.forEach(({ text, start, end }, chunkIndex) => {
+        pending.push({ text, source: file.name, chunkIndex, start, end, ...segmentAt(document.segments, start) });
+      });
+      records[file.name] = { hash: file.hash, size: file.size, chunks: 0, failedChunks: 0 };
+      reportProgress('chunk', i + 1, documents.length);
+    }
 
-    let processedCount = 0;
+    console.log(`[RAG Builder] Created ${pending.length} chunks from ${Object.keys(records).length} files`);
+    if (pending.length === 0) {
+      return records;
+    }
 
-    for (const chunk of textChunks) {
-      try {
-        const embedding = await this.createEmbedding(chunk);
+    const embeddings = new Array(pending.length).fill(null);
+    const saved = checkpoint.open();
+    pending.forEach((chunk, index) => {
+      embeddings[index] = saved.get(BuildCheckpoint.key(chunk.text)) || null;
+    });
 
-        this.chunks.push({
-          text: chunk,
-          embedding: embedding
-        });
+    const resumed = embeddings.filter(Boolean).length;
+    this.resumedChunks = resumed;
+    if (resumed > 0) {
+      console.log(`[RAG Builder] Resuming: ${resumed} embeddings taken from the interrupted build`);
+    }
 
-        processedCount++;
-        if (processedCount % 10 === 0) {
-          console.log(`[RAG Builder] Processed ${processedCount}/${textChunks.length} chunks...`);
+    // Chunks still to embed, by index in pending
+    const todo = [...pending.keys()].filter(index => !embeddings[index]);
+    reportProgress('embed', resumed, pending.length);
+
+    const batcher = new EmbeddingBatcher(client, {
+      model: embeddingModel,
+      batchSize: embeddingBatchSize,
+      concurrency: embeddingConcurrency,
+      maxRetries: embeddingMaxRetries
+    });
+    console.log(`[RAG Builder] Embedding in batches of ${batcher.batchSize} (${batcher.concurrency} concurrent requests, ${batcher.maxRetries} retries)`);
+
+    let lastLogged = 0;
+    const result = await batcher.embedAll(todo.map(index => pending[index].text), {
+      onProgress: (done, total) => {
+        reportProgress('embed', resumed + done, pending.length);
+        if (done - lastLogged >= 50 || done === total) {
+          lastLogged = done;
+          console.log(`[RAG Builder] Processed ${done}/${total} chunks...`);
         }
+      },
+      onEmbedded: (index, embedding) => {
+        embeddings[todo[index]] = embedding;
+        checkpoint.append(pending[todo[index]].text, embedding);
+      }
+    });
+    const failures = result.failures.map(failure => ({ ...failure, index: todo[failure.index] }));
+
+    pending.forEach((chunk, index) => {
+      if (embeddings[index]) {
+        const { text, ...provenance } = chunk;
+        this.chunks.push({ text: text, embedding: embeddings[index], ...provenance });
+        records[chunk.source].chunks++;
+      }
+    });
 
-        // Rate limiting: 60 requests/minute for embeddings
-        await new Promise(resolve => setTimeout(resolve, 1100));
+    this.failedChunks = failures.map(failure => ({ ...pending[failure.index], error: failure.error, attempts: failure.attempts }));
+    for (const failure of this.failedChunks) {
+      records[failure.source].failedChunks++;
+    }
 
-      } catch (error) {
-        console.error(`[RAG Builder] Error processing chunk: ${error.message}`);
+    console.log(`[RAG Builder] Successfully processed ${pending.length - failures.length} chunks`);
+
+    if (failures.length > 0) {
+      console.warn(`[RAG Builder] ${failures.length} chunks failed and are not in the knowledge base:`);
+      for (const failure of this.failedChunks) {
+        const preview = failure.text.length > 60 ? `${failure.text.slice(0, 60)}...` : failure.text;
+        console.warn(`  ${failure.source} #${failure.chunkIndex} (${failure.attempts} attempts, ${failure.error}): "${preview}"`);
       }
     }
 
-    console.log(`[RAG Builder] Successfully processed ${processedCount} chunks`);
+    return records;
   }
 
   /**
    * Save knowledge base to file
+   * @param {Object} files - File records by name ({ hash, size, chunks, failedChunks })
+   * @param {string|null} createdAt - Creation time of the previous build
    */
-  saveKnowledgeBase(outputPath, modelName) {
-    const data = {
+  saveKnowledgeBase(outputPath, modelName, files, createdAt = null) {
+    const now = new Date().toISOString();
+    const manifest = {
       modelName: modelName,
       language: this.language,
       chunkSize: this.chunkSize,
       chunkOverlap: this.chunkOverlap,
-      createdAt: new Date().toISOString(),
-      chunks: this.chunks,
+      chunkUnit: chunkUnit,
+      version: KNOWLEDGE_BASE_VERSION,
+      embeddingModel: embeddingModel,
+      createdAt: createdAt || now,
+      updatedAt: now,
+      files: files,
       stats: {
         totalChunks: this.chunks.length,
+        totalFiles: Object.keys(files).length,
+        failedChunks: this.failedChunks.length,
         avgChunkLength: this.chunks.reduce((sum, c) => sum + c.text.length, 0) / this.chunks.length
       }
     };
 
-    fs.writeFileSync(outputPath, JSON.stringify(data, null, 2), 'utf-8');
-    console.log(`[RAG Builder] Knowledge base saved to: ${outputPath}`);
-    console.log(`[RAG Builder] Total chunks: ${data.stats.totalChunks}`);
-    console.log(`[RAG Builder] Average chunk length: ${data.stats.avgChunkLength.toFixed(0)} chars`);
-
-    return data.stats;
+    writeKnowledgeBase(outputPath, {
+      manifest: manifest,
+      chunks: this.chunks,
+      // BM25 keyword index over chunks (rebuilt from all chunks on every build)
+      lexicalIndex: LexicalIndex.build(this.chunks.map(chunk => chunk.text), this.language),
+      // Kept so a rebuild can see what is missing
+      failedChunks: this.failedChunks.map(({ source, chunkIndex, text, error }) => ({ source, chunkIndex, text, error })),
+      // Nearest-neighbour graph (rebuilt from all chunks on every build)
+      annIndex: this.chunks.length >= annMinChunks ? this.buildAnnIndex() : null
+    }, vectorEncoding);
+
+    console.log(`[RAG Builder] Knowledge base saved to: ${outputPath} (${vectorEncoding} vectors)`);
+    console.log(`[RAG Builder] Total chunks: ${manifest.stats.totalChunks}`);
+    console.log(`[RAG Builder] Average chunk length: ${manifest.stats.avgChunkLength.toFixed(0)} chars`);
+
+    return manifest.stats;
   }
 
   /**
-   * Read all supported files from a directory (non-recursive)
+   * Build the HNSW index over all chunk embeddings
+   * @returns {Buffer} - Serialized graph
    */
-  static async readKnowledgeData(inputFolder) {
-    let combinedText = '';
-    let fileCount = 0;
-
-    // Non-recursive: only read files in the specified folder, no subdirectories
-    const entries = fs.readdirSync(inputFolder, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(inputFolder, entry.name);
+  buildAnnIndex() {
+    const dimensions = this.chunks[0].embedding.length;
+    const vectors = new Float32Array(this.chunks.length * dimensions);
+    this.chunks.forEach((chunk, i) => vectors.set(chunk.embedding, i * dimensions));
 
-      // Skip subdirectories (non-recursive mode)
-      if (entry.isDirectory()) {
-        console.log(`[RAG Builder] Skipping subdirectory: ${entry.name} (non-recursive mode)`);
-        continue;
-      }
+    console.log(`[RAG Builder] Building HNSW index over ${this.chunks.length} chunks...`);
+    const startTime = Date.now();
+    const index = HnswIndex.build(vectors, dimensions);
+    console.log(`[RAG Builder] HNSW index built in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
 
-      if (entry.isFile()) {
-          const ext = path.extname(entry.name).toLowerCase();
-          const relativePath = path.relative(inputFolder, fullPath);
-
-          try {
-            let content = '';
-
-            if (ext === '.txt') {
-              console.log(`[RAG Builder] Reading TXT: ${relativePath}`);
-              content = fs.readFileSync(fullPath, 'utf-8');
-              fileCount++;
-            }
-            else if (ext === '.tex') {
-              console.log(`[RAG Builder] Reading TEX: ${relativePath}`);
-              content = fs.readFileSync(fullPath, 'utf-8');
-              // Remove LaTeX commands
-              content = content
-                .replace(/\\[a-zA-Z]+(\{[^}]*\}|\[[^\]]*\])?/g, '')
-                .replace(/[{}]/g, '')
-                .replace(/\$.+?\$/g, '')
-                .replace(/\$\$.+?\$\$/gs, '');
-              fileCount++;
-            }
-            else if (ext === '.pdf') {
-              console.log(`[RAG Builder] Reading PDF: ${relativePath}`);
-              const data = await pdfExtract.extract(fullPath, {});
-              content = data.pages
-                .map(page => page.content.map(item => item.str).join(' '))
-                .join('\n');
-              fileCount++;
-            }
-            else if (ext === '.docx') {
-              console.log(`[RAG Builder] Reading DOCX: ${relativePath}`);
-              const dataBuffer = fs.readFileSync(fullPath);
-              const result = await mammoth.extractRawText({ buffer: dataBuffer });
-              content = result.value;
-              fileCount++;
-            }
-            else {
-              continue;
-            }
-
-            if (content && content.trim().length > 0) {
-              combinedText += '\n' + content;
-            }
-
-          } catch (error) {
-            console.error(`[RAG Builder] Error reading ${relativePath}:`, error.message);
-          }
-        }
-      }
-
-    console.log(`[RAG Builder] Total files read: ${fileCount}`);
-    return combinedText;
+    return index.toBuffer();
   }
 }
 
+/**
+ * Glob patterns of a --include=... or --exclude=... option
+ * Patterns are comma-separated, except for the commas of {a,b} alternatives
+ */
+function patternOption(name) {
+  const option = process.argv.find(arg => arg.startsWith(`--${name}=`));
+  if (!option) return [];
+  return option.slice(name.length + 3).split(/,(?![^{]*\})/).map(pattern => pattern.trim()).filter(Boolean);
+}
+
 // Main execution
 async function main() {
-  const args = process.argv.slice(2);
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const fullRebuild = process.argv.includes('--full');
+  const include = patternOption('include');
+  const exclude = patternOption('exclude');
 
   if (args.length < 3) {
-    console.error('Usage: node buildRAG.js <input-folder> <output-name> <language> [chunk-size] [chunk-overlap]');
-    console.error('Example: node backend/buildRAG.js knowledge-data my-rag-model ja 500 50');
+    console.error('Usage: node buildRAG.js <input-folder> <output-name> <language> [chunk-size] [chunk-overlap] [--full] [--include=<glob>,...] [--exclude=<glob>,...]');
+    console.error('Example: node backend/buildRAG.js knowledge-data my-rag-model ja 500 50 --exclude=drafts,*.csv');
     process.exit(1);
   }
 
   const [inputFolder, outputName, language, chunkSizeStr = '500', chunkOverlapStr = '50'] = args;
-  const chunkSize = parseInt(chunkSizeStr);
-  const chunkOverlap = parseInt(chunkOverlapStr);
+  const chunkSize = Number(chunkSizeStr);
+  const chunkOverlap = Number(chunkOverlapStr);
+
+  // The knowledge base is written to rag-knowledge/<output-name>.json, nowhere else
+  try {
+    knowledgeBaseName(outputName, 'output-name');
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!LANGUAGES.includes(language)) {
+    console.error(`Error: language must be one of: ${LANGUAGES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!CHUNK_UNITS.includes(chunkUnit)) {
+    console.error(`Error: RAG_CHUNK_UNIT must be one of: ${CHUNK_UNITS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(chunkSize) || !Number.isInteger(chunkOverlap) || !(chunkSize > 0) || !(chunkOverlap >= 0) || chunkOverlap >= chunkSize) {
+    console.error('Error: chunk-size must be a positive integer and chunk-overlap an integer smaller than chunk-size');
+    process.exit(1);
+  }
+
+  if (!VECTOR_ENCODINGS.includes(vectorEncoding)) {
+    console.error(`Error: RAG_VECTOR_ENCODING must be one of: ${VECTOR_ENCODINGS.join(', ')}`);
+    process.exit(1);
+  }
 
   // Resolve paths
   const projectRoot = path.resolve(__dirname, '..');
   const inputPath = path.resolve(projectRoot, inputFolder);
-  const outputPath = path.resolve(projectRoot, 'rag-knowledge', `${outputName}.json`);
+  const outputPath = resolveInside(RAG_KNOWLEDGE_DIR, `${outputName}.json`, 'output-name');
 
   console.log('=== RAG Knowledge Base Builder ===');
   console.log(`Input folder: ${inputPath}`);
   console.log(`Output: ${outputPath}`);
   console.log(`Language: ${language}`);
-  console.log(`Chunk size: ${chunkSize} characters`);
-  console.log(`Chunk overlap: ${chunkOverlap} characters`);
+  console.log(`Chunk size: ${chunkSize} ${chunkUnit}`);
+  console.log(`Chunk overlap: ${chunkOverlap} ${chunkUnit}`);
+  console.log(`Embedding deployment: ${embeddingModel}`);
+  if (include.length > 0) console.log(`Include: ${include.join(', ')}`);
+  if (exclude.length > 0) console.log(`Exclude: ${exclude.join(', ')}`);
   console.log('');
 
   // Check if input folder exists
-  if (!fs.existsSync(inputPath)) {
+  if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isDirectory()) {
     console.error(`Error: Input folder not found: ${inputPath}`);
     process.exit(1);
   }
@@ -260,34 +397,125 @@ async function main() {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Read knowledge data
-  console.log('[1/4] Reading knowledge data...');
-  const knowledgeText = await RAGBuilder.readKnowledgeData(inputPath);
+  const builder = new RAGBuilder(language, chunkSize, chunkOverlap);
+
+  // Compare the folder with the previous build
+  console.log('[1/4] Checking files for changes...');
+  const { files, skipped } = listKnowledgeFiles(inputPath, { include, exclude });
 
-  if (knowledgeText.trim().length === 0) {
-    console.error('Error: No text data found in input folder');
+  for (const { file, reason } of skipped) {
+    console.log(`Skipping ${file}: ${reason}`);
+  }
+
+  if (files.length === 0) {
+    console.error(`Error: No supported files found in input folder (${skipped.length} skipped)`);
     process.exit(1);
   }
 
-  console.log(`Total characters: ${knowledgeText.length}`);
+  const previous = fullRebuild ? { data: null, reason: '--full' } : builder.loadPrevious(outputPath);
+  if (!previous.data) {
+    console.log(`Full build: ${previous.reason}`);
+  }
+
+  const plan = builder.planBuild(files, previous.data);
+  console.log(`Files: ${plan.added.length} new, ${plan.updated.length} changed, ${plan.unchanged.length} unchanged, ${plan.removed.length} removed`);
   console.log('');
 
-  // Build RAG knowledge base
-  console.log('[2/4] Chunking text...');
-  const builder = new RAGBuilder(language, chunkSize, chunkOverlap);
+  // Chunks of unchanged files are kept as they are
+  const unchangedNames = new Set(plan.unchanged.map(file => file.name));
+  const removedNames = new Set(plan.removed);
+  const fileRecords = {};
+  let removedChunks = 0;
+
+  for (const chunk of previous.data?.chunks || []) {
+    if (unchangedNames.has(chunk.source)) {
+      builder.chunks.push(chunk);
+    } else if (removedNames.has(chunk.source)) {
+      removedChunks++;
+    }
+  }
+  for (const name of unchangedNames) {
+    fileRecords[name] = previous.data.files[name];
+  }
+  const reusedChunks = builder.chunks.length;
+
+  const changedFiles = [...plan.added, ...plan.updated];
+  const checkpoint = new BuildCheckpoint(outputPath, embeddingModel);
 
+  console.log('[2/4] Reading and chunking changed files...');
   console.log('[3/4] Creating embeddings (this may take a while)...');
-  await builder.processText(knowledgeText);
+  Object.assign(fileRecords, await builder.processFiles(changedFiles, checkpoint));
   console.log('');
 
-  // Save knowledge base
-  console.log('[4/4] Saving knowledge base...');
-  const stats = builder.saveKnowledgeBase(outputPath, outputName);
+  // Keep the folder order regardless of which files were rebuilt
+  builder.chunks.sort((a, b) => a.source.localeCompare(b.source) || a.chunkIndex - b.chunkIndex);
+  const sortedRecords = Object.fromEntries(Object.keys(fileRecords).sort().map(name => [name, fileRecords[name]]));
+
+  // Every file of the folder: what the build did with it, or why it was left out
+  const readErrors = new Map(builder.readErrors.map(({ file, error }) => [file, error]));
+  const fileReport = [
+    ...plan.added.map(file => ({ file: file.name, status: 'added' })),
+    ...plan.updated.map(file => ({ file: file.name, status: 'updated' })),
+    ...plan.unchanged.map(file => ({ file: file.name, status: 'unchanged' }))
+  ].map(entry => {
+    if (readErrors.has(entry.file)) {
+      return { file: entry.file, status: 'unreadable', reason: readErrors.get(entry.file) };
+    }
+    const { chunks, failedChunks } = fileRecords[entry.file];
+    if (failedChunks > 0) return { ...entry, reason: `${failedChunks} chunks failed to embed` };
+    if (chunks === 0) return { ...entry, reason: 'no text extracted' };
+    return entry;
+  });
+  fileReport.push(...skipped.map(({ file, reason }) => ({ file, status: 'skipped', reason })));
+  fileReport.sort((a, b) => a.file.localeCompare(b.file));
+
+  const summary = {
+    modelName: outputName,
+    fullRebuild: !previous.data,
+    added: plan.added.map(file => file.name).filter(name => fileRecords[name]),
+    updated: plan.updated.map(file => file.name).filter(name => fileRecords[name]),
+    removed: plan.removed,
+    unchanged: plan.unchanged.length,
+    unreadable: builder.readErrors,
+    embeddedChunks: builder.chunks.length - reusedChunks,
+    reusedChunks: reusedChunks,
+    resumedChunks: builder.resumedChunks,
+    removedChunks: removedChunks,
+    failedChunks: builder.failedChunks.length,
+    totalChunks: builder.chunks.length,
+    skipped: skipped.length,
+    files: fileReport
+  };
+
+  if (builder.chunks.length === 0) {
+    console.error('Error: No chunks could be embedded');
+    process.exit(1);
+  }
+
+  const upToDate = changedFiles.length === 0 && plan.removed.length === 0 &&
+    previous.data.lexicalIndex && previous.data.vectorEncoding === vectorEncoding &&
+    Boolean(previous.data.annIndexFile) === (previous.data.chunkCount >= annMinChunks);
+
+  if (upToDate) {
+    console.log('[4/4] Knowledge base is up to date, nothing to save');
+  } else {
+    // Save knowledge base
+    console.log('[4/4] Saving knowledge base...');
+    reportProgress('save', 0, 1);
+    builder.saveKnowledgeBase(outputPath, outputName, sortedRecords, previous.data?.createdAt);
+  }
+  reportProgress('save', 1, 1);
+
+  // Everything the checkpoint held is in the knowledge base now
+  checkpoint.remove();
   console.log('');
 
   console.log('=== Build Complete ===');
   console.log(`Knowledge base saved: ${outputPath}`);
-  console.log(`File size: ${(fs.statSync(outputPath).size / 1024 / 1024).toFixed(2)} MB`);
+  console.log(`File size: ${(knowledgeBaseSize(outputPath) / 1024 / 1024).toFixed(2)} MB`);
+
+  // Machine-readable result for /api/rag-knowledge/build
+  console.log(`BUILD_SUMMARY ${JSON.stringify(summary)}`);
 }
 
 main().catch(error => {
@@ -3,7 +3,10 @@
  */
 
 import Cartesia from '@cartesia/cartesia-js';
+import WebSocket from 'ws';
+import { randomUUID } from 'crypto';
 import dotenv from 'dotenv';
+import { extensionForMimeType } from './audioTranscoder.js';
 
 dotenv.config();
 
@@ -15,27 +18,48 @@ export class CartesiaTTS {
 
     this.voiceId = null; // Will be set after voice cloning
     this.defaultVoiceId = 'a0e99841-438c-4a64-b679-ae501e7d6091'; // Cartesia default voice
+
+    // Streaming WebSocket (opened lazily, kept alive between predictions)
+    this.socket = null;
+    this.socketReady = null;
+    this.streamContexts = new Map(); // context_id -> { onChunk, resolve, reject }
+    this.sampleRate = 22050; // Reduced for lower latency
   }
 
   getProviderName() {
     return 'cartesia';
   }
 
+  /**
+   * Clip format sent to the clone API (WAV avoids WebM/Opus decoding issues on their side)
+   */
+  getCloneAudioFormat() {
+    return {
+      container: 'wav',
+      codec: 'pcm_s16le',
+      sampleRate: 44100,
+      channels: 1,
+      mimeType: 'audio/wav',
+      extension: 'wav'
+    };
+  }
+
   /**
    * Clone voice from audio data
    * @param {Buffer} audioBuffer - Audio data (min 5 seconds recommended)
    * @param {string} transcript - Transcription of the audio (not used by Cartesia)
    * @param {string} voiceName - Name for the cloned voice
    * @param {string} language - Language code ('ja' or 'en')
+   * @param {string} mimeType - MIME type of audioBuffer
    * @returns {Promise<string>} - Voice embedding (to use with mode: "embedding")
    */
-  async cloneVoice(audioBuffer, transcript, voiceName = 'UserClone', language = 'ja') {
+  async cloneVoice(audioBuffer, transcript, voiceName = 'UserClone', language = 'ja', mimeType = 'audio/webm') {
     try {
       console.log('[Cartesia] Starting voice cloning...');
-      console.log(`[Cartesia] Audio buffer size: ${audioBuffer.length} bytes`);
+      console.log(`[Cartesia] Audio buffer size: ${audioBuffer.length} bytes (${mimeType})`);
 
       // Cartesia expects a Blob object (not File in Node.js)
-      const blob = new Blob([audioBuffer], { type: 'audio/webm' });
+      const blob = new Blob([audioBuffer], { type: mimeType });
 
       console.log('[Cartesia] Sending clone request to API...');
 
@@ -44,7 +68,7 @@ export class CartesiaTTS {
 
       // Make direct API call to get proper error messages
       const formData = new FormData();
-      formData.append('clip', blob, 'voice.webm');
+      formData.append('clip', blob, `voice.${extensionForMimeType(mimeType)}`);
       formData.append('mode', 'similarity');  // Use similarity mode (stability removed in 2025-04-16)
 
       try {
@@ -109,16 +133,17 @@ export class CartesiaTTS {
    * @param {string} text - Text to synthesize
    * @param {string} voiceId - Voice ID (optional, uses cloned voice if available)
    * @param {string} language - Language code (optional)
-   * @returns {Promise<Buffer>} - Audio data
+   * @param {Object} options - { signal: AbortSignal } to cancel the request
+   * @returns {Promise<{audio: Buffer, sampleRate: number, format: string}>} - Mono PCM
    */
-  async synthesize(text, voiceId = null, language = null) {
-    return this.synthesizeQuick(text, voiceId, language);
+  async synthesize(text, voiceId = null, language = null, options = {}) {
+    return this.synthesizeQuick(text, voiceId, language, options);
   }
 
   /**
    * Internal synthesis implementation using REST API
    */
-  async synthesizeQuick(text, voiceId = null, language = null) {
+  async synthesizeQuick(text, voiceId = null, language = null, { signal } = {}) {
     try {
       const targetVoiceId = voiceId || this.voiceId || this.defaultVoiceId;
       const targetLanguage = language || this.voiceLanguage || 'ja';
@@ -143,12 +168,13 @@ export class CartesiaTTS {
           output_format: {
             container: 'raw',
             encoding: 'pcm_s16le',
-            sample_rate: 22050  // Reduced for lower latency
+            sample_rate: this.sampleRate
           },
           language: targetLanguage,  // Use selected language
           speed: 'normal',  // Use normal speed for better pronunciation accuracy
           add_timestamps: false
-        })
+        }),
+        signal: signal
       });
 
       if (!response.ok) {
@@ -162,14 +188,284 @@ export class CartesiaTTS {
 
       console.log(`[Cartesia] Quick synthesis complete. Audio size: ${audioBuffer.length} bytes`);
 
-      return audioBuffer;
+      return {
+        audio: audioBuffer,
+        sampleRate: this.sampleRate,
+        format: 'pcm_s16le'
+      };
 
     } catch (error) {
-      console.error('[Cartesia] Quick synthesis error:', error);
+      if (signal?.aborted) {
+        console.log(`[Cartesia] Synthesis aborted (${signal.reason})`);
+      } else {
+        console.error('[Cartesia] Quick synthesis error:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Open the streaming WebSocket if it is not already open
+   * Called ahead of the first prediction so the handshake is not on the critical path
+   * @returns {Promise<WebSocket>}
+   */
+  connectStream() {
+    if (this.socketReady) {
+      return this.socketReady;
+    }
+
+    const url = `wss://api.cartesia.ai/tts/websocket?cartesia_version=2024-11-13&api_key=${encodeURIComponent(process.env.CARTESIA_API_KEY || '')}`;
+
+    this.socketReady = new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      this.socket = socket;
+
+      socket.on('open', () => {
+        console.log('[Cartesia] Streaming WebSocket connected');
+        resolve(socket);
+      });
+
+      socket.on('message', (data) => {
+        this.handleStreamMessage(data);
+      });
+
+      socket.on('error', (error) => {
+        console.error('[Cartesia] Streaming WebSocket error:', error.message);
+        reject(error);
+      });
+
+      socket.on('close', (code) => {
+        console.log(`[Cartesia] Streaming WebSocket closed: ${code}`);
+        if (this.socket === socket) {
+          this.socket = null;
+          this.socketReady = null;
+        }
+
+        // Fail any synthesis still waiting on this connection
+        for (const context of this.streamContexts.values()) {
+          context.reject(new Error(`Cartesia streaming connection closed (${code})`));
+        }
+        this.streamContexts.clear();
+      });
+    });
+
+    // A failed handshake must not be cached, the next call retries
+    this.socketReady.catch(() => {
+      this.socketReady = null;
+    });
+
+    return this.socketReady;
+  }
+
+  /**
+   * Dispatch a streaming response to the context that requested it
+   */
+  handleStreamMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('[Cartesia] Failed to parse streaming message:', error.message);
+      return;
+    }
+
+    const context = this.streamContexts.get(message.context_id);
+    if (!context) {
+      return; // Cancelled context, late chunks are ignored
+    }
+
+    if (message.type === 'chunk' && message.data) {
+      context.onChunk(Buffer.from(message.data, 'base64'));
+    }
+    else if (message.type === 'done') {
+      context.resolve();
+    }
+    else if (message.type === 'error') {
+      context.reject(new Error(`Cartesia streaming error: ${message.error || message.title || 'unknown'}`));
+    }
+  }
+
+  /**
+   * Generate speech over the streaming WebSocket, delivering PCM as it is produced
+   * @param {string} text - Text to synthesize
+   * @param {string} voiceId - Voice ID (optional, uses cloned voice if available)
+   * @param {string} language - Language code (optional)
+   * @param {Object} options - { signal: AbortSignal, onChunk: (Buffer) => void }
+   * @returns {Promise<{bytes: number, chunks: number}>} - Resolves when synthesis is done
+   */
+  async synthesizeStream(text, voiceId = null, language = null, { signal, onChunk } = {}) {
+    const targetVoiceId = voiceId || this.voiceId || this.defaultVoiceId;
+    const targetLanguage = language || this.voiceLanguage || 'ja';
+    const contextId = randomUUID();
+
+    console.log(`[Cartesia] Stream synthesizing: "${text}" with voice ${targetVoiceId}, language: ${targetLanguage}`);
+
+    const socket = await this.connectStream();
+    if (signal?.aborted) {
+      console.log(`[Cartesia] Stream synthesis aborted (${signal.reason})`);
+      throw new Error(`Synthesis aborted (${signal.reason})`);
+    }
+
+    let bytes = 0;
+    let chunks = 0;
+    let remainder = null; // Odd trailing byte carried over so every chunk holds whole samples
+
+    const finished = new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ context_id: contextId, cancel: true }));
+        }
+        cleanup();
+        reject(signal.reason instanceof Error ? signal.reason : new Error(`Synthesis aborted (${signal.reason})`));
+      };
+
+      const cleanup = () => {
+        this.streamContexts.delete(contextId);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      this.streamContexts.set(contextId, {
+        onChunk: (chunk) => {
+          let pcm = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+          remainder = null;
+          if (pcm.length % 2 !== 0) {
+            remainder = pcm.subarray(pcm.length - 1);
+            pcm = pcm.subarray(0, pcm.length - 1);
+          }
+          if (pcm.length === 0) return;
+
+          bytes += pcm.length;
+          chunks++;
+          if (onChunk) onChunk(pcm);
+        },
+        resolve: () => {
+          cleanup();
+          resolve();
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      });
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    socket.send(JSON.stringify({
+      model_id: 'sonic-multilingual',
+      transcript: text,
+      voice: {
+        mode: 'id',
+        id: targetVoiceId
+      },
+      output_format: {
+        container: 'raw',
+        encoding: 'pcm_s16le',
+        sample_rate: this.sampleRate
+      },
+      language: targetLanguage,
+      context_id: contextId,
+      continue: false
+    }));
+
+    try {
+      await finished;
+    } catch (error) {
+      if (signal?.aborted) {
+        console.log(`[Cartesia] Stream synthesis aborted (${signal.reason})`);
+      } else {
+        console.error('[Cartesia] Stream synthesis error:', error.message);
+      }
+      throw error;
+    }
+
+    console.log(`[Cartesia] Stream synthesis complete. ${chunks} chunks, ${bytes} bytes`);
+    return { bytes, chunks };
+  }
+
+  /**
+   * Close the streaming WebSocket
+   */
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+      this.socketReady = null;
+    }
+  }
+
+  /**
+   * Fields stored in the voice library for the current clone
+   */
+  getSavedVoiceData() {
+    return { voiceId: this.voiceId };
+  }
+
+  /**
+   * Use a voice saved in the voice library (Cartesia keeps the voice, only the ID is needed)
+   * @param {Object} profile - Voice library profile
+   */
+  async restoreVoice(profile) {
+    if (!profile.voiceId) {
+      throw new Error('Saved voice has no Cartesia voice ID');
+    }
+    this.voiceId = profile.voiceId;
+    this.voiceLanguage = profile.language;
+    console.log(`[Cartesia] Using saved voice "${profile.name}" (${profile.voiceId})`);
+  }
+
+  /**
+   * Delete a permanent voice from the Cartesia account
+   * @param {string} voiceId - Voice ID to delete
+   */
+  async deleteVoice(voiceId) {
+    const response = await fetch(`https://api.cartesia.ai/voices/${encodeURIComponent(voiceId)}`, {
+      method: 'DELETE',
+      headers: {
+        'X-API-Key': process.env.CARTESIA_API_KEY,
+        'Cartesia-Version': '2024-11-13'
+      }
+    });
+
+    // Already deleted on the Cartesia side counts as success
+    if (!response.ok && response.status !== 404) {
+      const errorText = await response.text();
+      throw new Error(`Cartesia API Error (${response.status}): ${errorText}`);
+    }
+
+    if (this.voiceId === voiceId) {
+      this.voiceId = null;
+    }
+    console.log(`[Cartesia] Deleted voice ${voiceId}`);
+  }
+
+  /**
+   * Whether synthesize() can run (falls back to the default voice without a clone)
+   */
+  canSynthesize() {
+    return true;
+  }
+
+  /**
+   * Check if the Cartesia API is reachable and the API key is accepted
+   */
+  async checkHealth() {
+    try {
+      const response = await fetch('https://api.cartesia.ai/voices?limit=1', {
+        method: 'GET',
+        headers: {
+          'X-API-Key': process.env.CARTESIA_API_KEY,
+          'Cartesia-Version': '2024-11-13'
+        },
+        signal: AbortSignal.timeout(5000)
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('[Cartesia] Health check failed:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Get current voice ID
    */
@@ -0,0 +1,524 @@
+/**
+ * Knowledge data document reader
+ * Extracts plain text from the files in a knowledge-data/<domain> folder
+ * Shared by the RAG builder and the n-gram predictor
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ZipArchive } from './zipReader.js';
+
+// PDF and DOCX parsers are loaded on first use to keep server startup light
+let pdfExtract = null;
+let mammoth = null;
+
+async function getPdfExtract() {
+  if (!pdfExtract) {
+    const { PDFExtract } = await import('pdf.js-extract');
+    pdfExtract = new PDFExtract();
+  }
+  return pdfExtract;
+}
+
+async function getMammoth() {
+  if (!mammoth) {
+    mammoth = (await import('mammoth')).default;
+  }
+  return mammoth;
+}
+
+// Always skipped: hidden files and folders (.git, .DS_Store, ...) and installed packages
+const DEFAULT_EXCLUDE = ['.*', 'node_modules'];
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports * (within a path segment), ** (any number of segments), ? and {a,b}
+ */
+function globToRegExp(pattern) {
+  const escape = (text) => text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no folder at all, so **/*.md matches top-level files too
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escape).join('|')})`;
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile an include or exclude pattern
+ * A pattern without "/" matches file and folder names at any depth (*.md, drafts),
+ * one with "/" matches the path relative to the knowledge folder (notes/**, notes/*.md)
+ */
+function compilePattern(pattern) {
+  const cleaned = pattern.trim().replace(/^\.\//, '').replace(/\/$/, '');
+  const regex = globToRegExp(cleaned);
+  const matchesPath = cleaned.includes('/');
+
+  return {
+    pattern: pattern.trim(),
+    matches(name) {
+      return regex.test(matchesPath ? name : name.slice(name.lastIndexOf('/') + 1));
+    }
+  };
+}
+
+/**
+ * List the supported files of a knowledge folder and its subfolders
+ * @param {string} inputFolder - Absolute path of the knowledge folder
+ * @param {Object} options
+ * @param {string[]} options.include - Glob patterns, only matching files are listed (empty = all)
+ * @param {string[]} options.exclude - Glob patterns of files and folders to leave out
+ * @returns {{files: Array<{name: string, fullPath: string}>, skipped: Array<{file: string, reason: string}>}}
+ *   - name is the "/"-separated path relative to inputFolder, both lists are sorted
+ */
+export function listKnowledgeFiles(inputFolder, { include = [], exclude = [] } = {}) {
+  const includePatterns = include.filter(pattern => pattern.trim()).map(compilePattern);
+  const excludePatterns = [...DEFAULT_EXCLUDE, ...exclude.filter(pattern => pattern.trim())].map(compilePattern);
+  const files = [];
+  const skipped = [];
+
+  const visit = (folder, prefix) => {
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      const name = prefix + entry.name;
+      const fullPath = path.join(folder, entry.name);
+
+      if (entry.isDirectory()) {
+        // "drafts/**" excludes the drafts folder itself
+        const excludedBy = excludePatterns.find(p => p.matches(name) || p.matches(`${name}/`));
+        if (excludedBy) {
+          skipped.push({ file: `${name}/`, reason: `excluded by ${excludedBy.pattern}` });
+          continue;
+        }
+
+        try {
+          visit(fullPath, `${name}/`);
+        } catch (error) {
+          console.error(`[Document Reader] Cannot read folder ${name}:`, error.message);
+          skipped.push({ file: `${name}/`, reason: `unreadable folder: ${error.message}` });
+        }
+        continue;
+      }
+
+      const excludedBy = excludePatterns.find(p => p.matches(name));
+      const ext = path.extname(entry.name).toLowerCase();
+      let reason = null;
+
+      if (!entry.isFile()) {
+        reason = 'not a regular file';
+      } else if (excludedBy) {
+        reason = `excluded by ${excludedBy.pattern}`;
+      } else if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+        reason = ext ? `unsupported file type ${ext}` : 'no file extension';
+      } else if (includePatterns.length > 0 && !includePatterns.some(p => p.matches(name))) {
+        reason = 'not matched by include patterns';
+      }
+
+      if (reason) {
+        skipped.push({ file: name, reason });
+      } else {
+        files.push({ name, fullPath });
+      }
+    }
+  };
+
+  visit(inputFolder, '');
+
+  const byName = (a, b) => a.localeCompare(b);
+  return {
+    files: files.sort((a, b) => byName(a.name, b.name)),
+    skipped: skipped.sort((a, b) => byName(a.file, b.file))
+  };
+}
+
+// Markdown-style headings mark sections in plain text files
+const TXT_HEADING = /^#{1,6}[ \t]+(.+)$/gm;
+// \section, \subsection, ... (starred or not) mark sections in LaTeX files
+const TEX_SECTION = /\\(?:sub)*section\*?\{([^}]*)\}/g;
+// <h1> to <h6> mark sections in HTML files
+const HTML_HEADING = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode HTML and XML character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : reference;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? reference;
+  });
+}
+
+/**
+ * Remove LaTeX commands
+ */
+function stripLatex(content) {
+  return content
+    .replace(/\\[a-zA-Z]+(\{[^}]*\}|\[[^\]]*\])?/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/\$.+?\$/g, '')
+    .replace(/\$\$.+?\$\$/gs, '');
+}
+
+/**
+ * Remove inline Markdown: images and links keep their text, code and emphasis their content
+ */
+function stripInlineMarkdown(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(?<![\w*~])(\*{1,3}|_{1,3}|~~)(\S(?:.*?\S)?)\1(?![\w*~])/g, '$2');
+}
+
+/**
+ * Turn an HTML fragment into text, one line per block element
+ */
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(?:p|div|li|ul|ol|dl|dt|dd|tr|table|section|article|aside|header|footer|nav|main|blockquote|pre|figure|figcaption|h[1-6])\b[^>]*>/gi, '\n')
+    .replace(/<\/?(?:td|th)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Split a CSV file into rows of fields (quoted fields may contain commas, quotes and newlines)
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Text extractors by file extension
+ * Each returns { text, segments }, see readDocument
+ */
+const EXTRACTORS = {
+  '.txt': async (fullPath) => {
+    const text = fs.readFileSync(fullPath, 'utf-8');
+    const segments = [...text.matchAll(TXT_HEADING)].map(match => ({ start: match.index, section: match[1].trim() }));
+    return { text, segments };
+  },
+
+  '.tex': async (fullPath) => {
+    const raw = fs.readFileSync(fullPath, 'utf-8');
+
+    // Clean each section separately to know where it starts in the cleaned text
+    const headings = [...raw.matchAll(TEX_SECTION)];
+    const parts = [{ rawStart: 0, section: null }, ...headings.map(match => ({ rawStart: match.index, section: match[1].trim() }))];
+
+    let text = '';
+    const segments = [];
+    parts.forEach((part, i) => {
+      const rawEnd = i + 1 < parts.length ? parts[i + 1].rawStart : raw.length;
+      if (part.section) {
+        segments.push({ start: text.length, section: part.section });
+      }
+      text += stripLatex(raw.slice(part.rawStart, rawEnd));
+    });
+    return { text, segments };
+  },
+
+  '.pdf': async (fullPath) => {
+    const data = await (await getPdfExtract()).extract(fullPath, {});
+
+    let text = '';
+    const segments = [];
+    data.pages.forEach((page, i) => {
+      if (i > 0) text += '\n';
+      segments.push({ start: text.length, page: page.pageInfo?.num || i + 1 });
+      text += page.content.map(item => item.str).join(' ');
+    });
+    return { text, segments };
+  },
+
+  '.docx': async (fullPath) => {
+    const dataBuffer = fs.readFileSync(fullPath);
+    const result = await (await getMammoth()).extractRawText({ buffer: dataBuffer });
+    return { text: result.value, segments: [] };
+  },
+
+  // Front matter and fenced code blocks are dropped, headings become sections
+  '.md': async (fullPath) => {
+    const raw = fs.readFileSync(fullPath, 'utf-8')
+      .replace(/\r\n?/g, '\n')
+      .replace(/^---\n[\s\S]*?\n(?:---|\.\.\.)\n/, '');
+
+    let text = '';
+    const segments = [];
+    let fence = null;
+
+    for (const line of raw.split('\n')) {
+      const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+        continue;
+      }
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        continue;
+      }
+
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)(?:\s+#+)?\s*$/);
+      if (heading) {
+        const title = stripInlineMarkdown(heading[1]).trim();
+        segments.push({ start: text.length, section: title });
+        text += `${title}\n`;
+        continue;
+      }
+
+      // Rules, setext underlines, table separators and link definitions carry no text
+      if (/^\s*(?:[-*_=]\s*){3,}$/.test(line) || /^\s*\|?\s*:?-{3,}/.test(line) || /^\s{0,3}\[[^\]]+\]:\s/.test(line)) {
+        continue;
+      }
+
+      text += stripInlineMarkdown(line
+        .replace(/^\s{0,3}(?:>\s?)+/, '')
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+        .replace(/\s*\|\s*/g, ' ')
+        .trim()) + '\n';
+    }
+
+    return { text, segments };
+  },
+
+  // Scripts, styles and comments are dropped, <h1>-<h6> become sections
+  '.html': async (fullPath) => {
+    const raw = fs.readFileSync(fullPath, 'utf-8')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+    let text = '';
+    const segments = [];
+    let position = 0;
+
+    for (const match of raw.matchAll(HTML_HEADING)) {
+      text += htmlToText(raw.slice(position, match.index));
+      const title = htmlToText(match[2]).replace(/\s+/g, ' ').trim();
+      if (title) {
+        if (text && !text.endsWith('\n')) text += '\n';
+        segments.push({ start: text.length, section: title });
+        text += `${title}\n`;
+      }
+      position = match.index + match[0].length;
+    }
+    text += htmlToText(raw.slice(position));
+
+    return { text, segments };
+  },
+
+  // Slide text followed by its speaker notes, the slide number becomes the page.
+  // PowerPoint renumbers slideN.xml in presentation order when saving
+  '.pptx': async (fullPath) => {
+    const archive = new ZipArchive(fs.readFileSync(fullPath));
+    const slides = archive.names()
+      .map(name => ({ name, match: name.match(/^ppt\/slides\/slide(\d+)\.xml$/) }))
+      .filter(slide => slide.match)
+      .map(slide => ({ name: slide.name, number: parseInt(slide.match[1]) }))
+      .sort((a, b) => a.number - b.number);
+
+    // Text of each <a:p> paragraph, without fields such as the slide number placeholder
+    const paragraphs = (xml) => [...xml.replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, '').matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+      .map(match => decodeEntities([...match[1].matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)].map(t => t[1]).join('')).trim())
+      .filter(Boolean);
+
+    let text = '';
+    const segments = [];
+
+    for (const slide of slides) {
+      const lines = paragraphs(archive.read(slide.name).toString('utf-8'));
+
+      const relsName = `ppt/slides/_rels/slide${slide.number}.xml.rels`;
+      const notesTarget = archive.entries.has(relsName)
+        ? archive.read(relsName).toString('utf-8').match(/Target="\.\.\/(notesSlides\/notesSlide\d+\.xml)"/)
+        : null;
+      if (notesTarget && archive.entries.has(`ppt/${notesTarget[1]}`)) {
+        lines.push(...paragraphs(archive.read(`ppt/${notesTarget[1]}`).toString('utf-8')));
+      }
+
+      if (lines.length === 0) continue;
+      segments.push({ start: text.length, page: slide.number });
+      text += lines.join('\n') + '\n\n';
+    }
+
+    return { text, segments };
+  },
+
+  // One line per cue, each cue's start time (hh:mm:ss) becomes its section
+  '.srt': async (fullPath) => {
+    const raw = fs.readFileSync(fullPath, 'utf-8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    let text = '';
+    const segments = [];
+
+    for (const block of raw.split(/\n\s*\n/)) {
+      const lines = block.split('\n').filter(line => line.trim());
+      // Blocks without timing are the cue-less WEBVTT header and NOTE/STYLE/REGION blocks
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1) continue;
+
+      const cue = decodeEntities(lines.slice(timing + 1).join(' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (!cue) continue;
+
+      const startTime = lines[timing].match(/(?:(\d+):)?(\d{1,2}):(\d{2})[,.]\d+/);
+      if (startTime) {
+        const hours = (startTime[1] || '0').padStart(2, '0');
+        segments.push({ start: text.length, section: `${hours}:${startTime[2].padStart(2, '0')}:${startTime[3]}` });
+      }
+      text += `${cue}\n`;
+    }
+
+    return { text, segments };
+  },
+
+  // The first row is the header, every other row becomes a "column: value, ..." line
+  '.csv': async (fullPath) => {
+    const [header = [], ...rows] = parseCsv(fs.readFileSync(fullPath, 'utf-8').replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim());
+
+    const text = rows.map(fields => fields
+      .map((value, i) => [columns[i], value.trim()])
+      .filter(([, value]) => value)
+      .map(([column, value]) => (column ? `${column}: ${value}` : value))
+      .join(', ')).join('\n');
+
+    return { text, segments: [] };
+  }
+};
+EXTRACTORS['.markdown'] = EXTRACTORS['.md'];
+EXTRACTORS['.htm'] = EXTRACTORS['.html'];
+EXTRACTORS['.vtt'] = EXTRACTORS['.srt'];
+
+// Extensions readDocument can extract text from
+export const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS);
+
+/**
+ * Extract the text of one file
+ * Segments tell where each PDF page, slide or section starts in the extracted text, so
+ * chunks can be traced back to their page or section (see segmentAt)
+ * @param {string} fullPath - Absolute path of a file with a supported extension
+ * @returns {Promise<{text: string, segments: Array<{start: number, page?: number, section?: string}>}>}
+ */
+export async function readDocument(fullPath) {
+  const ext = path.extname(fullPath).toLowerCase();
+  const extract = EXTRACTORS[ext];
+
+  if (!extract) {
+    throw new Error(`Unsupported file type: ${ext}`);
+  }
+
+  console.log(`[Document Reader] Reading ${ext.slice(1).toUpperCase()}: ${path.basename(fullPath)}`);
+  return extract(fullPath);
+}
+
+/**
+ * Page and section at a character offset of a document's text
+ * @param {Array} segments - readDocument segments
+ * @param {number} offset - Character offset in the text
+ * @returns {{page?: number, section?: string}}
+ */
+export function segmentAt(segments, offset) {
+  const location = {};
+  for (const segment of segments) {
+    if (segment.start > offset) break;
+    if (segment.page !== undefined) location.page = segment.page;
+    if (segment.section !== undefined) location.section = segment.section;
+  }
+  return location;
+}
+
+/**
+ * Read all supported files from a knowledge folder and its subfolders
+ * @param {string} inputFolder - Absolute path of the knowledge folder
+ * @returns {Promise<string>} - Text of all files joined by newlines
+ */
+export async function readKnowledgeData(inputFolder) {
+  let combinedText = '';
+  let fileCount = 0;
+
+  for (const file of listKnowledgeFiles(inputFolder).files) {
+    try {
+      const { text: content } = await readDocument(file.fullPath);
+      fileCount++;
+
+      if (content && content.trim().length > 0) {
+        combinedText += '\n' + content;
+      }
+
+    } catch (error) {
+      console.error(`[Document Reader] Error reading ${file.name}:`, error.message);
+    }
+  }
+
+  console.log(`[Document Reader] Total files read: ${fileCount}`);
+  return combinedText;
+}
@@ -0,0 +1,168 @@
+/**
+ * Batched, concurrent embedding requests
+ * Sends several chunks per embeddings call with a few calls in flight, and retries rate
+ * limits (429), server errors (5xx) and dropped connections with exponential backoff.
+ * The OpenAI client should be created with maxRetries: 0 so retries are not doubled
+ */
+
+/**
+ * True for errors worth retrying: rate limits, server errors and connection failures
+ * (connection errors have no HTTP status)
+ */
+export function isRetryableError(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.status === undefined) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Delay before the next attempt
+ * Honours the server's retry-after-ms / Retry-After headers, otherwise backs off
+ * exponentially with jitter
+ * @param {Error} error - The failed attempt's error (headers: Headers from the OpenAI client)
+ * @param {number} attempt - Attempt that failed (1 = first)
+ * @returns {number} - Milliseconds to wait
+ */
+export function retryDelayMs(error, attempt, baseDelayMs = 1000, maxDelayMs = 60000) {
+  const headers = error.headers;
+
+  const retryAfterMs = parseFloat(headers?.get?.('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.min(retryAfterMs, maxDelayMs);
+  }
+
+  const retryAfter = headers?.get?.('retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay) && delay >= 0) {
+      return Math.min(delay, maxDelayMs);
+    }
+  }
+
+  const backoff = baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(backoff * (0.75 + Math.random() * 0.5), maxDelayMs);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class EmbeddingBatcher {
+  /**
+   * @param {AzureOpenAI} client - OpenAI client (created with maxRetries: 0)
+   * @param {Object} options
+   * @param {string} options.model - Embedding deployment
+   * @param {number} options.batchSize - Inputs per request
+   * @param {number} options.concurrency - Requests in flight
+   * @param {number} options.maxRetries - Retries per batch after the first attempt
+   */
+  constructor(client, { model, batchSize = 16, concurrency = 4, maxRetries = 5, baseDelayMs = 1000, maxDelayMs = 60000 } = {}) {
+    this.client = client;
+    this.model = model;
+    this.batchSize = Math.max(1, batchSize);
+    this.concurrency = Math.max(1, concurrency);
+    this.maxRetries = Math.max(0, maxRetries);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+  }
+
+  /**
+   * Embed all texts
+   * @param {string[]} texts - Inputs, in order
+   * @param {Object} options - { onProgress(done, total), onEmbedded(index, embedding) as each input succeeds }
+   * @returns {Promise<{embeddings: Array<number[]|null>, failures: Array<{index: number, text: string, error: string, attempts: number}>}>}
+   *   embeddings[i] belongs to texts[i] (null if it failed after all retries)
+   */
+  async embedAll(texts, { onProgress, onEmbedded } = {}) {
+    const embeddings = new Array(texts.length).fill(null);
+    const failures = [];
+
+    const batches = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      batches.push(start);
+    }
+
+    let nextBatch = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (nextBatch < batches.length) {
+        const start = batches[nextBatch++];
+        const inputs = texts.slice(start, start + this.batchSize);
+
+        try {
+          const vectors = await this.embedBatch(inputs, start);
+          vectors.forEach((vector, offset) => {
+            embeddings[start + offset] = vector;
+            onEmbedded?.(start + offset, vector);
+          });
+        } catch (error) {
+          // A rejected input (e.g. too many tokens) fails the whole request: retry the
+          // batch one input at a time so only the offending chunks are reported
+          const split = inputs.length > 1 && !isRetryableError(error);
+
+          for (const [offset, text] of inputs.entries()) {
+            if (!split) {
+              failures.push({ index: start + offset, text: text, error: error.message, attempts: error.attempts });
+              continue;
+            }
+
+            try {
+              [embeddings[start + offset]] = await this.embedBatch([text], start + offset);
+              onEmbedded?.(start + offset, embeddings[start + offset]);
+            } catch (singleError) {
+              failures.push({ index: start + offset, text: text, error: singleError.message, attempts: singleError.attempts });
+            }
+          }
+        }
+
+        done += inputs.length;
+        onProgress?.(done, texts.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, batches.length) }, worker));
+
+    failures.sort((a, b) => a.index - b.index);
+    return { embeddings, failures };
+  }
+
+  /**
+   * Embed one batch, retrying transient errors
+   * @param {string[]} inputs - Texts of the batch
+   * @param {number} start - Index of inputs[0] (for logging)
+   * @returns {Promise<number[][]>} - Vectors in input order
+   */
+  async embedBatch(inputs, start) {
+    const label = `chunks ${start}-${start + inputs.length - 1}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client.embeddings.create({
+          model: this.model,
+          input: inputs
+        });
+
+        // Results carry their input index and are not guaranteed to be in order
+        const vectors = new Array(inputs.length).fill(null);
+        for (const item of response.data) {
+          vectors[item.index] = item.embedding;
+        }
+        if (vectors.some(vector => !vector)) {
+          throw Object.assign(new Error(`Expected ${inputs.length} embeddings, got ${response.data.length}`), { status: 502 });
+        }
+        return vectors;
+
+      } catch (error) {
+        if (attempt > this.maxRetries || !isRetryableError(error)) {
+          console.error(`[Embedding] ${label} failed after ${attempt} attempt(s): ${error.message}`);
+          error.attempts = attempt;
+          throw error;
+        }
+
+        const delay = retryDelayMs(error, attempt, this.baseDelayMs, this.maxDelayMs);
+        console.warn(`[Embedding] ${label} failed (${error.status || 'connection'}: ${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+}
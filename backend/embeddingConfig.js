@@ -0,0 +1,43 @@
+/**
+ * Embedding model settings shared by buildRAG.js (building) and RAGPredictor (querying)
+ * Vectors from different embedding models are not comparable, so a knowledge base can
+ * only be searched with the model it was built with
+ */
+
+export const DEFAULT_EMBEDDING_DEPLOYMENT = 'text-embedding-3-small';
+
+// Knowledge bases from older versions do not record their embedding model: they were
+// built with this one (buildRAG.js's default before embeddingModel was saved)
+export const LEGACY_EMBEDDING_DEPLOYMENT = 'text-embedding-ada-002';
+
+/**
+ * Azure OpenAI embedding deployment
+ * AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME, or the older AZURE_OPENAI_EMBEDDING_MODEL
+ */
+export function getEmbeddingDeployment() {
+  return process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME ||
+    process.env.AZURE_OPENAI_EMBEDDING_MODEL ||
+    DEFAULT_EMBEDDING_DEPLOYMENT;
+}
+
+/**
+ * Check whether a knowledge base can be queried with a deployment
+ * Deployments are compared by name. When two deployments serve the same model under
+ * different names, RAG_ALLOW_EMBEDDING_MISMATCH=true turns the refusal into a warning
+ * @param {Object} manifest - Knowledge base manifest (embeddingModel, dimensions)
+ * @param {string} deployment - Deployment queries will be embedded with
+ * @returns {{compatible: boolean, warning: string|null}} - warning explains any problem
+ */
+export function checkEmbeddingCompatibility(manifest, deployment) {
+  const embeddingModel = manifest.embeddingModel || LEGACY_EMBEDDING_DEPLOYMENT;
+
+  if (embeddingModel !== deployment) {
+    return {
+      compatible: process.env.RAG_ALLOW_EMBEDDING_MISMATCH === 'true',
+      warning: `Knowledge base was built with embedding deployment "${embeddingModel}"${manifest.embeddingModel ? '' : ' (assumed: not recorded)'} (${manifest.dimensions ?? '?'} dimensions), ` +
+        `but queries use "${deployment}". Rebuild the knowledge base or set AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME=${embeddingModel}`
+    };
+  }
+
+  return { compatible: true, warning: null };
+}
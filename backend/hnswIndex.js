@@ -0,0 +1,346 @@
+/**
+ * HNSW (Hierarchical Navigable Small World) index for cosine similarity search
+ * Built by buildRAG.js for large knowledge bases and saved next to the vectors, so a
+ * query visits a few hundred chunks instead of all of them.
+ * Vectors are L2-normalized, so cosine similarity is a dot product
+ */
+
+// Graph file layout (little-endian int32):
+//   header: formatVersion, count, dimensions, M, efConstruction, entryPoint, maxLevel
+//   levels: count x top level of each node
+//   links:  for each node, for each level 0..top: neighbour count, neighbour ids
+const FORMAT_VERSION = 1;
+const HEADER_LENGTH = 7;
+
+/**
+ * Binary heap ordered by compare (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const byDistance = (a, b) => a.distance - b.distance;
+const byDistanceDesc = (a, b) => b.distance - a.distance;
+
+/**
+ * Seeded PRNG (mulberry32), so the same chunks always give the same graph
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Copy vectors with every vector scaled to unit length (zero vectors stay zero)
+ * @param {Float32Array} vectors - count x dimensions
+ * @returns {Float32Array}
+ */
+export function normalizeVectors(vectors, dimensions) {
+  const normalized = new Float32Array(vectors.length);
+  for (let offset = 0; offset < vectors.length; offset += dimensions) {
+    let norm = 0;
+    for (let d = 0; d < dimensions; d++) {
+      norm += vectors[offset + d] * vectors[offset + d];
+    }
+    norm = Math.sqrt(norm);
+    if (norm === 0) continue;
+    for (let d = 0; d < dimensions; d++) {
+      normalized[offset + d] = vectors[offset + d] / norm;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Dot product of a query with the vector at index
+ */
+export function dotProduct(vectors, dimensions, index, query) {
+  const offset = index * dimensions;
+  let sum = 0;
+  for (let d = 0; d < dimensions; d++) {
+    sum += vectors[offset + d] * query[d];
+  }
+  return sum;
+}
+
+export class HnswIndex {
+  /**
+   * @param {Float32Array} vectors - Normalized vectors, count x dimensions
+   * @param {number} dimensions
+   * @param {Object} options
+   * @param {number} options.M - Links per node on upper levels (2M on level 0)
+   * @param {number} options.efConstruction - Candidate list size while inserting
+   * @param {number} options.efSearch - Default candidate list size while searching
+   */
+  constructor(vectors, dimensions, { M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+    this.vectors = vectors;
+    this.dimensions = dimensions;
+    this.count = vectors.length / dimensions;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+
+    this.levels = new Int32Array(this.count);
+    this.links = new Array(this.count); // node -> level -> neighbour ids
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    // Nodes visited by the current search carry the current mark
+    this.visited = new Uint32Array(this.count);
+    this.visitMark = 0;
+  }
+
+  /**
+   * Build an index over vectors
+   * @param {Float32Array} vectors - count x dimensions (need not be normalized)
+   */
+  static build(vectors, dimensions, options = {}) {
+    const index = new HnswIndex(normalizeVectors(vectors, dimensions), dimensions, options);
+    const random = createRandom(options.seed ?? 42);
+    const levelFactor = 1 / Math.log(index.M);
+
+    for (let id = 0; id < index.count; id++) {
+      index.insert(id, Math.floor(-Math.log(1 - random()) * levelFactor));
+    }
+    return index;
+  }
+
+  /**
+   * Load a saved graph
+   * @param {Buffer} buffer - Output of toBuffer()
+   * @param {Float32Array} vectors - The vectors it was built over (need not be normalized)
+   */
+  static fromBuffer(buffer, vectors, dimensions, options = {}) {
+    // Typed arrays need an aligned offset, Buffers from the pool may not have one
+    const bytes = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+    const data = new Int32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4);
+
+    const [formatVersion, count, savedDimensions, M, efConstruction, entryPoint, maxLevel] = data;
+    if (formatVersion !== FORMAT_VERSION) {
+      throw new Error(`Unsupported HNSW index version ${formatVersion}`);
+    }
+    if (count !== vectors.length / dimensions || savedDimensions !== dimensions) {
+      throw new Error(`HNSW index covers ${count} x ${savedDimensions} vectors, knowledge base has ${vectors.length / dimensions} x ${dimensions}`);
+    }
+
+    const index = new HnswIndex(normalizeVectors(vectors, dimensions), dimensions, { ...options, M, efConstruction });
+    index.entryPoint = entryPoint;
+    index.maxLevel = maxLevel;
+    index.levels.set(data.subarray(HEADER_LENGTH, HEADER_LENGTH + count));
+
+    let position = HEADER_LENGTH + count;
+    for (let id = 0; id < count; id++) {
+      index.links[id] = [];
+      for (let level = 0; level <= index.levels[id]; level++) {
+        const length = data[position++];
+        index.links[id].push(Array.from(data.subarray(position, position + length)));
+        position += length;
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Serialize the graph (vectors are not included)
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const values = [FORMAT_VERSION, this.count, this.dimensions, this.M, this.efConstruction, this.entryPoint, this.maxLevel, ...this.levels];
+    for (const nodeLinks of this.links) {
+      for (const neighbours of nodeLinks) {
+        values.push(neighbours.length, ...neighbours);
+      }
+    }
+    return Buffer.from(Int32Array.from(values).buffer);
+  }
+
+  vector(id) {
+    return this.vectors.subarray(id * this.dimensions, (id + 1) * this.dimensions);
+  }
+
+  distance(query, id) {
+    return 1 - dotProduct(this.vectors, this.dimensions, id, query);
+  }
+
+  /**
+   * Best-first search on one level
+   * @returns {Array<{id: number, distance: number}>} - Up to ef nodes, closest first
+   */
+  searchLevel(query, entryPoints, ef, level) {
+    const mark = ++this.visitMark;
+    const candidates = new Heap(byDistance);   // Closest first
+    const results = new Heap(byDistanceDesc);  // Farthest first
+
+    for (const id of entryPoints) {
+      this.visited[id] = mark;
+      const item = { id, distance: this.distance(query, id) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbour of this.links[current.id][level]) {
+        if (this.visited[neighbour] === mark) continue;
+        this.visited[neighbour] = mark;
+
+        const distance = this.distance(query, neighbour);
+        if (results.size < ef || distance < results.peek().distance) {
+          const item = { id: neighbour, distance };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(byDistance);
+  }
+
+  /**
+   * Pick up to m neighbours from candidates (closest first), preferring ones that are
+   * closer to the new node than to an already picked neighbour, so links spread out
+   * in different directions instead of all pointing into one cluster
+   */
+  selectNeighbours(candidates, m) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+      const vector = this.vector(candidate.id);
+      if (selected.every(other => this.distance(vector, other.id) > candidate.distance)) {
+        selected.push(candidate);
+      } else {
+        skipped.push(candidate);
+      }
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= m) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  insert(id, level) {
+    this.levels[id] = level;
+    this.links[id] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    const query = this.vector(id);
+    let entryPoints = [this.entryPoint];
+
+    for (let l = this.maxLevel; l > level; l--) {
+      entryPoints = [this.searchLevel(query, entryPoints, 1, l)[0].id];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLevel(query, entryPoints, this.efConstruction, l);
+      const maxLinks = l === 0 ? this.M * 2 : this.M;
+      const neighbours = this.selectNeighbours(candidates, this.M);
+      this.links[id][l] = neighbours.map(neighbour => neighbour.id);
+
+      for (const neighbour of neighbours) {
+        const neighbourLinks = this.links[neighbour.id][l];
+        neighbourLinks.push(id);
+
+        // Full neighbour keeps its closest links (re-running the heuristic here doubles
+        // the build time for no measurable recall gain)
+        if (neighbourLinks.length > maxLinks) {
+          const vector = this.vector(neighbour.id);
+          const scored = neighbourLinks
+            .map(other => ({ id: other, distance: this.distance(vector, other) }))
+            .sort(byDistance);
+          this.links[neighbour.id][l] = scored.slice(0, maxLinks).map(other => other.id);
+        }
+      }
+
+      entryPoints = candidates.map(candidate => candidate.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Approximate k nearest neighbours
+   * @param {Float32Array|number[]} query - Query vector (need not be normalized)
+   * @param {number} k - Number of results
+   * @param {number} ef - Candidate list size (higher = better recall, slower)
+   * @returns {Array<{index: number, similarity: number}>} - Most similar first
+   */
+  search(query, k, ef = this.efSearch) {
+    if (this.entryPoint === -1) return [];
+
+    const normalizedQuery = normalizeVectors(Float32Array.from(query), query.length);
+    let entryPoints = [this.entryPoint];
+
+    for (let level = this.maxLevel; level > 0; level--) {
+      entryPoints = [this.searchLevel(normalizedQuery, entryPoints, 1, level)[0].id];
+    }
+
+    return this.searchLevel(normalizedQuery, entryPoints, Math.max(ef, k), 0)
+      .slice(0, k)
+      .map(({ id, distance }) => ({ index: id, similarity: 1 - distance }));
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * Knowledge base storage
+ * A knowledge base <name> is stored in rag-knowledge/ as three files:
+ *   <name>.json         - Small manifest (name, language, embedding model, dimensions,
+ *                         file hashes, stats), the only file read to list knowledge bases
+ *   <name>.chunks.json  - Chunk texts and provenance, keyword index, failed chunks
+ *   <name>.vectors.bin  - Embeddings in chunk order, little-endian:
+ *                         float32: count x dimensions float32
+ *                         int8:    count float32 scales, then count x dimensions int8
+ *                                  (value = int8 * scale, per vector)
+ *   <name>.hnsw.bin     - Nearest-neighbour graph over the vectors (large knowledge bases only,
+ *                         see hnswIndex.js)
+ *   <name>.checkpoint.jsonl - Embeddings of an unfinished build (see buildCheckpoint.js)
+ * Knowledge bases saved as a single JSON file by older versions are migrated on first read
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LEGACY_EMBEDDING_DEPLOYMENT } from './embeddingConfig.js';
+
+const MANIFEST_FORMAT = 'predictive-speaking-knowledge-base';
+const MANIFEST_FORMAT_VERSION = 1;
+
+export const VECTOR_ENCODINGS = ['float32', 'int8'];
+
+/**
+ * Paths of a knowledge base's files
+ * @param {string} manifestPath - Path of <name>.json
+ */
+export function knowledgeBasePaths(manifestPath) {
+  const base = manifestPath.replace(/\.json$/, '');
+  return {
+    manifest: manifestPath,
+    chunks: `${base}.chunks.json`,
+    vectors: `${base}.vectors.bin`,
+    annIndex: `${base}.hnsw.bin`,
+    checkpoint: `${base}.checkpoint.jsonl`
+  };
+}
+
+/**
+ * True for manifest (or legacy knowledge base) file names
+ */
+export function isManifestFile(filename) {
+  return filename.endsWith('.json') && !filename.endsWith('.chunks.json');
+}
+
+/**
+ * Total size of a knowledge base's files in bytes
+ */
+export function knowledgeBaseSize(manifestPath) {
+  const { manifest, chunks, vectors, annIndex } = knowledgeBasePaths(manifestPath);
+  return [manifest, chunks, vectors, annIndex]
+    .filter(file => fs.existsSync(file))
+    .reduce((sum, file) => sum + fs.statSync(file).size, 0);
+}
+
+// Write next to the target and rename, so readers never see a half-written file
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+function encodeVectors(vectors, dimensions, encoding) {
+  if (encoding === 'int8') {
+    const scales = new Float32Array(vectors.length);
+    const values = new Int8Array(vectors.length * dimensions);
+
+    vectors.forEach((vector, i) => {
+      let maxAbs = 0;
+      for (let d = 0; d < dimensions; d++) {
+        maxAbs = Math.max(maxAbs, Math.abs(vector[d]));
+      }
+      const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+      scales[i] = scale;
+      for (let d = 0; d < dimensions; d++) {
+        values[i * dimensions + d] = Math.round(vector[d] / scale);
+      }
+    });
+
+    return Buffer.concat([Buffer.from(scales.buffer), Buffer.from(values.buffer)]);
+  }
+
+  const values = new Float32Array(vectors.length * dimensions);
+  vectors.forEach((vector, i) => values.set(vector, i * dimensions));
+  return Buffer.from(values.buffer);
+}
+
+/**
+ * Decode a vectors file into one Float32Array (count x dimensions)
+ */
+function decodeVectors(buffer, count, dimensions, encoding) {
+  // Typed arrays need an aligned offset, Buffers from the pool may not have one
+  const bytes = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+
+  if (encoding === 'int8') {
+    const expected = count * 4 + count * dimensions;
+    if (bytes.length !== expected) {
+      throw new Error(`Vector file has ${bytes.length} bytes, expected ${expected}`);
+    }
+
+    const scales = new Float32Array(bytes.buffer, bytes.byteOffset, count);
+    const values = new Int8Array(bytes.buffer, bytes.byteOffset + count * 4, count * dimensions);
+    const vectors = new Float32Array(count * dimensions);
+    for (let i = 0; i < count; i++) {
+      for (let d = 0; d < dimensions; d++) {
+        vectors[i * dimensions + d] = values[i * dimensions + d] * scales[i];
+      }
+    }
+    return vectors;
+  }
+
+  if (bytes.length !== count * dimensions * 4) {
+    throw new Error(`Vector file has ${bytes.length} bytes, expected ${count * dimensions * 4}`);
+  }
+  return new Float32Array(bytes.buffer, bytes.byteOffset, count * dimensions);
+}
+
+/**
+ * Save a knowledge base
+ * @param {string} manifestPath - Path of <name>.json
+ * @param {Object} knowledgeBase
+ * @param {Object} knowledgeBase.manifest - Name, language, settings, files, stats, ...
+ * @param {Array} knowledgeBase.chunks - Chunks with their `embedding`
+ * @param {Object} knowledgeBase.lexicalIndex - Serialized keyword index
+ * @param {Array} knowledgeBase.failedChunks - Chunks that could not be embedded
+ * @param {Buffer|null} knowledgeBase.annIndex - Serialized HNSW graph (null = search by full scan)
+ * @param {string} encoding - 'float32' or 'int8'
+ */
+export function writeKnowledgeBase(manifestPath, { manifest, chunks, lexicalIndex = null, failedChunks = [], annIndex = null }, encoding = 'float32') {
+  if (!VECTOR_ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown vector encoding: ${encoding} (expected one of: ${VECTOR_ENCODINGS.join(', ')})`);
+  }
+
+  const paths = knowledgeBasePaths(manifestPath);
+  const dimensions = chunks.length > 0 ? chunks[0].embedding.length : 0;
+
+  const invalid = chunks.findIndex(chunk => chunk.embedding.length !== dimensions);
+  if (invalid !== -1) {
+    throw new Error(`Chunk ${invalid} has ${chunks[invalid].embedding.length} dimensions, expected ${dimensions}`);
+  }
+
+  writeFileAtomic(paths.vectors, encodeVectors(chunks.map(chunk => chunk.embedding), dimensions, encoding));
+  writeFileAtomic(paths.chunks, JSON.stringify({
+    chunks: chunks.map(({ embedding, ...chunk }) => chunk),
+    lexicalIndex: lexicalIndex,
+    failedChunks: failedChunks
+  }));
+  if (annIndex) {
+    writeFileAtomic(paths.annIndex, annIndex);
+  } else {
+    fs.rmSync(paths.annIndex, { force: true });
+  }
+
+  // The manifest goes last. A reader caught between the writes gets new chunks with
+  // the old manifest and fails its chunk count check instead of mixing two builds
+  writeFileAtomic(paths.manifest, JSON.stringify({
+    format: MANIFEST_FORMAT,
+    formatVersion: MANIFEST_FORMAT_VERSION,
+    ...manifest,
+    dimensions: dimensions,
+    vectorEncoding: encoding,
+    chunkCount: chunks.length,
+    chunksFile: path.basename(paths.chunks),
+    vectorsFile: path.basename(paths.vectors),
+    annIndexFile: annIndex ? path.basename(paths.annIndex) : null
+  }, null, 2));
+}
+
+/**
+ * Convert a knowledge base saved as a single JSON file (chunks with inline embeddings)
+ * @param {string} manifestPath - Path of the legacy <name>.json
+ * @param {Object} data - Its parsed content
+ * @returns {Object} - The new manifest
+ */
+export function migrateLegacyKnowledgeBase(manifestPath, data) {
+  const { chunks = [], lexicalIndex = null, failedChunks = [], ...manifest } = data;
+  manifest.embeddingModel ??= LEGACY_EMBEDDING_DEPLOYMENT;
+
+  console.log(`[Knowledge Base] Migrating ${path.basename(manifestPath)} (${chunks.length} chunks) to the manifest + binary vector format`);
+  writeKnowledgeBase(manifestPath, { manifest, chunks, lexicalIndex, failedChunks }, 'float32');
+
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Read a knowledge base's manifest (migrating a legacy knowledge base first)
+ * @param {string} manifestPath - Path of <name>.json
+ * @returns {Object}
+ */
+export function readManifest(manifestPath) {
+  const data = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+
+  if (data.format === MANIFEST_FORMAT) {
+    return data;
+  }
+  if (Array.isArray(data.chunks)) {
+    return migrateLegacyKnowledgeBase(manifestPath, data);
+  }
+  throw new Error(`${path.basename(manifestPath)} is not a knowledge base`);
+}
+
+/**
+ * Read a knowledge base's chunks without their vectors
+ * @param {string} manifestPath - Path of <name>.json
+ * @returns {{manifest: Object, chunks: Array, lexicalIndex: Object|null, failedChunks: Array}}
+ */
+export function readChunks(manifestPath) {
+  const manifest = readManifest(manifestPath);
+
+  const { chunks, lexicalIndex, failedChunks } = JSON.parse(fs.readFileSync(path.join(path.dirname(manifestPath), manifest.chunksFile), 'utf-8'));
+  if (chunks.length !== manifest.chunkCount) {
+    throw new Error(`${manifest.chunksFile} has ${chunks.length} chunks, the manifest expects ${manifest.chunkCount} (interrupted build?)`);
+  }
+
+  return { manifest, chunks, lexicalIndex, failedChunks: failedChunks || [] };
+}
+
+/**
+ * Read a whole knowledge base
+ * Embeddings are Float32Array views into `vectors`, one buffer that holds all of them
+ * @param {string} manifestPath - Path of <name>.json
+ * @returns {{manifest: Object, chunks: Array, vectors: Float32Array, annIndex: Buffer|null, lexicalIndex: Object|null, failedChunks: Array}}
+ */
+export function readKnowledgeBase(manifestPath) {
+  const { manifest, chunks, lexicalIndex, failedChunks } = readChunks(manifestPath);
+  const directory = path.dirname(manifestPath);
+
+  const { dimensions } = manifest;
+  const vectors = decodeVectors(fs.readFileSync(path.join(directory, manifest.vectorsFile)), chunks.length, dimensions, manifest.vectorEncoding);
+  chunks.forEach((chunk, i) => {
+    chunk.embedding = vectors.subarray(i * dimensions, (i + 1) * dimensions);
+  });
+
+  const annIndex = manifest.annIndexFile ? fs.readFileSync(path.join(directory, manifest.annIndexFile)) : null;
+
+  return { manifest, chunks, vectors, annIndex, lexicalIndex, failedChunks };
+}
+
+/**
+ * Delete a knowledge base's files, including the checkpoint of an unfinished build
+ * @param {string} manifestPath - Path of <name>.json
+ */
+export function removeKnowledgeBase(manifestPath) {
+  for (const file of Object.values(knowledgeBasePaths(manifestPath))) {
+    fs.rmSync(file, { force: true });
+    fs.rmSync(`${file}.tmp`, { force: true });
+  }
+}
+
+/**
+ * Rename a knowledge base: its files and the model name in its manifest
+ * @param {string} manifestPath - Path of <name>.json
+ * @param {string} newManifestPath - Path of <new name>.json, in the same directory
+ * @returns {Object} - The new manifest
+ */
+export function renameKnowledgeBase(manifestPath, newManifestPath) {
+  const manifest = readManifest(manifestPath);
+  const paths = knowledgeBasePaths(manifestPath);
+  const newPaths = knowledgeBasePaths(newManifestPath);
+
+  const taken = Object.values(newPaths).find(file => fs.existsSync(file));
+  if (taken) {
+    throw new Error(`${path.basename(taken)} already exists`);
+  }
+
+  for (const key of ['chunks', 'vectors', 'annIndex', 'checkpoint']) {
+    if (fs.existsSync(paths[key])) {
+      fs.renameSync(paths[key], newPaths[key]);
+    }
+  }
+
+  // Like a build, the manifest goes last and points at the renamed files
+  const renamed = {
+    ...manifest,
+    modelName: path.basename(newManifestPath, '.json'),
+    chunksFile: path.basename(newPaths.chunks),
+    vectorsFile: path.basename(newPaths.vectors),
+    annIndexFile: manifest.annIndexFile ? path.basename(newPaths.annIndex) : null
+  };
+  writeFileAtomic(newManifestPath, JSON.stringify(renamed, null, 2));
+  fs.rmSync(manifestPath);
+
+  return renamed;
+}
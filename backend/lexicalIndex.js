@@ -0,0 +1,128 @@
+/**
+ * BM25 keyword index over knowledge base chunks
+ * Built by buildRAG.js and stored in the knowledge base, so short spoken fragments can
+ * still find chunks that share a technical term with them even when their embeddings
+ * are not close
+ */
+
+import { tokenize } from './textTokenizer.js';
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Function words match almost every chunk and only add noise to short queries
+const JA_FUNCTION_WORD = /^[ぁ-ゟ]{1,2}$/;  // Particles and short kana endings
+const EN_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+  'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that',
+  'these', 'those', 'i', 'you', 'he', 'she', 'we', 'they', 'so', 'if', 'not', 'do', 'does'
+]);
+
+/**
+ * Index terms of a text
+ * @returns {string[]}
+ */
+export function indexTerms(text, language = 'ja') {
+  return tokenize(text, language).filter(term => language === 'ja'
+    ? !JA_FUNCTION_WORD.test(term)
+    : !EN_STOPWORDS.has(term));
+}
+
+export class LexicalIndex {
+  /**
+   * @param {Object} data - Serialized index (see build / toJSON)
+   */
+  constructor({ language, docLengths, avgDocLength, postings }) {
+    this.language = language;
+    this.docLengths = docLengths;
+    this.avgDocLength = avgDocLength;
+    // term -> [chunkIndex, termFrequency, chunkIndex, termFrequency, ...]
+    // (a Map, so terms like "constructor" can't collide with object properties)
+    this.postings = postings instanceof Map ? postings : new Map(Object.entries(postings));
+  }
+
+  /**
+   * Index chunk texts
+   * @param {string[]} texts - Chunk texts, in knowledge base order
+   * @param {string} language - Language code ('ja' or 'en')
+   */
+  static build(texts, language = 'ja') {
+    const docLengths = [];
+    const postings = new Map();
+
+    texts.forEach((text, docIndex) => {
+      const terms = indexTerms(text, language);
+      docLengths.push(terms.length);
+
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const [term, frequency] of frequencies) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(docIndex, frequency);
+      }
+    });
+
+    const totalLength = docLengths.reduce((sum, length) => sum + length, 0);
+
+    return new LexicalIndex({
+      language: language,
+      docLengths: docLengths,
+      avgDocLength: docLengths.length > 0 ? totalLength / docLengths.length : 0,
+      postings: postings
+    });
+  }
+
+  get size() {
+    return this.docLengths.length;
+  }
+
+  idf(term) {
+    const documentFrequency = (this.postings.get(term)?.length || 0) / 2;
+    return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * BM25 score of every chunk for a query, normalized to 0..1
+   * 1 means the chunk contains every indexed query term at least once (at average chunk
+   * length); query terms that appear nowhere in the knowledge base are ignored
+   * @param {string} query - Query text
+   * @returns {Float64Array} - Score per chunk index
+   */
+  score(query) {
+    const scores = new Float64Array(this.size);
+    const terms = [...new Set(indexTerms(query, this.language))].filter(term => this.postings.has(term));
+
+    let maxScore = 0;
+    for (const term of terms) {
+      const idf = this.idf(term);
+      const postings = this.postings.get(term);
+      maxScore += idf; // Score of one occurrence in a chunk of average length
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const docIndex = postings[i];
+        const frequency = postings[i + 1];
+        const lengthNorm = 1 - B + B * (this.docLengths[docIndex] / (this.avgDocLength || 1));
+        scores[docIndex] += idf * (frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+      }
+    }
+
+    if (maxScore > 0) {
+      for (let i = 0; i < scores.length; i++) {
+        scores[i] = Math.min(1, scores[i] / maxScore);
+      }
+    }
+    return scores;
+  }
+
+  toJSON() {
+    return {
+      language: this.language,
+      docLengths: this.docLengths,
+      avgDocLength: this.avgDocLength,
+      postings: Object.fromEntries(this.postings)
+    };
+  }
+}
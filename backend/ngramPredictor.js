@@ -0,0 +1,181 @@
+/**
+ * Offline n-gram next word predictor
+ * Trained on knowledge-data/<domain> text, runs locally in milliseconds without network access
+ */
+
+import path from 'path';
+import { readKnowledgeData } from './documentReader.js';
+import { splitSentences, currentSentence, tokenize, joinTokens } from './textTokenizer.js';
+
+const SENTENCE_START = '<s>';
+const KEY_SEPARATOR = '\u0001';
+
+// Stupid backoff penalty applied per dropped context token
+const BACKOFF_FACTOR = 0.4;
+
+export class NgramPredictor {
+  /**
+   * @param {number} order - N-gram order (3 = trigram)
+   */
+  constructor(order = 3) {
+    this.order = order;
+    this.counts = new Map(); // context key -> Map(next token -> count)
+    this.modelLoaded = false;
+    this.modelName = null;
+    this.language = 'ja';
+    this.totalTokens = 0;
+    this.totalSentences = 0;
+  }
+
+  /**
+   * Build a model from a knowledge folder
+   * @param {string} folderPath - Absolute path of knowledge-data/<domain>
+   * @param {string} language - Language code ('ja' or 'en')
+   * @returns {Promise<NgramPredictor>}
+   */
+  static async fromFolder(folderPath, language = 'ja', order = 3) {
+    const startTime = Date.now();
+    const predictor = new NgramPredictor(order);
+    const text = await readKnowledgeData(folderPath);
+
+    predictor.train(text, language);
+    predictor.modelName = path.basename(folderPath);
+
+    console.log(`[N-gram] Built "${predictor.modelName}" in ${Date.now() - startTime}ms (${predictor.totalSentences} sentences, ${predictor.totalTokens} tokens, ${predictor.counts.size} contexts)`);
+    return predictor;
+  }
+
+  /**
+   * Add n-gram counts for all sentences in text
+   */
+  train(text, language = 'ja') {
+    this.language = language;
+
+    for (const sentence of splitSentences(text, language)) {
+      const tokens = tokenize(sentence, language);
+      if (tokens.length === 0) continue;
+
+      const padded = [SENTENCE_START, ...tokens];
+      for (let i = 1; i < padded.length; i++) {
+        // Count the next token for every context length 0..order-1
+        for (let n = 0; n < this.order && n <= i; n++) {
+          this.increment(padded.slice(i - n, i), padded[i]);
+        }
+      }
+
+      this.totalTokens += tokens.length;
+      this.totalSentences++;
+    }
+
+    this.modelLoaded = this.totalTokens > 0;
+  }
+
+  increment(context, token) {
+    const key = context.join(KEY_SEPARATOR);
+    let next = this.counts.get(key);
+    if (!next) {
+      next = new Map();
+      this.counts.set(key, next);
+    }
+    next.set(token, (next.get(token) || 0) + 1);
+  }
+
+  /**
+   * Score possible next tokens using stupid backoff over decreasing context lengths
+   * @param {string[]} history - Preceding tokens (with sentence start marker)
+   * @param {number} minContext - Shortest context length to back off to (0 = unigrams)
+   * @returns {Array<{token: string, score: number}>} - Best first
+   */
+  nextTokens(history, minContext = 0) {
+    const scores = new Map();
+
+    for (let n = Math.min(this.order - 1, history.length); n >= minContext; n--) {
+      const next = this.counts.get(history.slice(history.length - n).join(KEY_SEPARATOR));
+      if (!next) continue;
+
+      const penalty = Math.pow(BACKOFF_FACTOR, Math.min(this.order - 1, history.length) - n);
+      let total = 0;
+      for (const count of next.values()) total += count;
+
+      for (const [token, count] of next) {
+        // Higher-order evidence wins; lower orders only add unseen tokens
+        if (!scores.has(token)) {
+          scores.set(token, penalty * count / total);
+        }
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([token, score]) => ({ token, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Predict the next word or short phrase
+   * @param {string} context - The current transcript
+   * @param {number} maxCandidates - Number of candidates to return
+   * @returns {{word: string, confidence: number, candidates: Array, reasoning: string}}
+   */
+  predict(context, maxCandidates = 5) {
+    const empty = { word: null, confidence: 0, candidates: [], reasoning: 'ngram_prediction' };
+    if (!this.modelLoaded || !context) {
+      return empty;
+    }
+
+    // Only the unfinished sentence is relevant context: after a sentence terminator the
+    // next word starts a new sentence
+    const history = [SENTENCE_START, ...tokenize(currentSentence(context, this.language), this.language)];
+
+    // Japanese tokens are short (particles, auxiliaries), so allow longer phrases
+    const maxPhraseTokens = this.language === 'ja' ? 3 : 2;
+
+    const candidates = [];
+    const seen = new Set();
+
+    for (const { token, score } of this.nextTokens(history)) {
+      if (candidates.length >= maxCandidates) break;
+
+      // Greedily extend the candidate into a short phrase, only with continuations
+      // actually observed after the previous token (no unigram fallback)
+      const phrase = [token];
+      while (phrase.length < maxPhraseTokens) {
+        const [best] = this.nextTokens([...history, ...phrase], 1);
+        if (!best) break;
+        phrase.push(best.token);
+      }
+
+      const word = joinTokens(phrase, this.language);
+      if (seen.has(word)) continue;
+      seen.add(word);
+
+      candidates.push({ word, score: Math.round(score * 1000) / 1000 });
+    }
+
+    if (candidates.length === 0) {
+      return empty;
+    }
+
+    return {
+      word: candidates[0].word,
+      confidence: candidates[0].score,
+      candidates: candidates,
+      reasoning: 'ngram_prediction'
+    };
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo() {
+    return {
+      loaded: this.modelLoaded,
+      modelName: this.modelName,
+      language: this.language,
+      order: this.order,
+      totalTokens: this.totalTokens,
+      totalSentences: this.totalSentences,
+      contexts: this.counts.size,
+      type: 'ngram'
+    };
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * N-best prediction candidates
+ * Built from a single chat completion requested with logprobs and top_logprobs: the
+ * completion itself is the best candidate, and the other likely first tokens are the
+ * alternatives. Sampling n completions would cost n times the output tokens and often
+ * return the same word several times
+ */
+
+/**
+ * Build a ranked, de-duplicated candidate list from one completion choice
+ * Candidates are scored by the probability of their first token, the point where the
+ * alternatives branch off
+ * @param {Object} choice - Chat completion choice with logprobs.content (and top_logprobs)
+ * @param {Function} extractWord - Maps raw completion text to the spoken candidate (or null)
+ * @param {number} maxCandidates - Maximum number of candidates to return
+ * @returns {Array<{word: string, score: number, logprob: number|null}>} - Best first
+ */
+export function rankCandidates(choice, extractWord, maxCandidates = 5) {
+  const candidates = new Map();
+  const add = (word, logprob) => {
+    if (!word || candidates.has(word)) return;
+    candidates.set(word, { word, score: logprob === null ? 0 : Math.exp(logprob), logprob });
+  };
+
+  const best = extractWord(choice?.message?.content?.trim() || '');
+  const [first] = choice?.logprobs?.content || [];
+  add(best, first ? first.logprob : null);
+
+  for (const alternative of first?.top_logprobs || []) {
+    if (alternative.token === first.token) continue;
+
+    // A token that only starts the best word ("良" of "良い") would repeat part of it,
+    // and punctuation is nothing to say
+    const word = extractWord(alternative.token.trim());
+    if (word && /[\p{L}\p{N}]/u.test(word) && !(best && best.startsWith(word))) {
+      add(word, alternative.logprob);
+    }
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxCandidates)
+    .map(candidate => ({
+      ...candidate,
+      score: Math.round(candidate.score * 1000) / 1000
+    }));
+}
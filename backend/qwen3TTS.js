@@ -5,15 +5,77 @@
 
 import FormData from 'form-data';
 import fetch from 'node-fetch';
+import { createHash } from 'crypto';
 import dotenv from 'dotenv';
+import { wavToPcm16 } from './audioUtils.js';
+import { extensionForMimeType } from './audioTranscoder.js';
 
 dotenv.config();
 
+// The Qwen3 server keeps a single reference voice shared by every client, so all sessions'
+// Qwen3TTS instances take turns: registering and generating run one at a time, and a
+// session whose voice was replaced in between registers its own again before generating
+const remoteVoice = {
+    registrationId: null,
+    queue: Promise.resolve()
+};
+
+// Every request holds up the others while it runs, so none may run unbounded
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Run task once the tasks queued before it on the Qwen3 server have finished
+ * @param {Function} task - () => Promise
+ * @param {AbortSignal} signal - Aborting it rejects at once; a task still waiting for its
+ *   turn is then skipped instead of holding up the queue
+ */
+function withRemoteVoice(task, signal) {
+    const turn = remoteVoice.queue.then(() => {
+        signal?.throwIfAborted();
+        return task();
+    });
+    remoteVoice.queue = turn.catch(() => {});
+    if (!signal) {
+        return turn;
+    }
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(new Error(`Qwen3-TTS request aborted (${signal.reason})`));
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+    return Promise.race([turn, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Signal for one request to the Qwen3 server: the caller's signal plus a time limit
+ */
+function requestSignal(signal) {
+    const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * ID for a reference: Qwen3 has no voice IDs, so the same reference (e.g. a saved voice
+ * used again) keeps the same ID
+ */
+function referenceId(audioBuffer, transcript) {
+    return 'qwen3-' + createHash('sha1').update(audioBuffer).update(transcript).digest('hex').slice(0, 16);
+}
+
 export class Qwen3TTS {
     constructor() {
         this.baseUrl = process.env.QWEN3_TTS_URL || 'https://api.aiinami.com:8443/voice_clone';
         this.isVoiceRegistered = false;
+        this.registrationId = null;
+        this.referenceAudio = null;
         this.voiceLanguage = 'ja';
+        // Output is resampled to this rate whatever the server returns (matches Cartesia)
+        this.sampleRate = parseInt(process.env.QWEN3_TTS_SAMPLE_RATE, 10) || 22050;
 
         console.log(`[Qwen3-TTS] Initialized with URL: ${this.baseUrl}`);
     }
@@ -22,34 +84,80 @@ export class Qwen3TTS {
         return 'qwen3';
     }
 
+    /**
+     * Reference audio format expected by the register-voice endpoint
+     */
+    getCloneAudioFormat() {
+        return {
+            container: 'wav',
+            codec: 'pcm_s16le',
+            sampleRate: 24000,
+            channels: 1,
+            mimeType: 'audio/wav',
+            extension: 'wav'
+        };
+    }
+
     /**
      * Clone voice from audio data by registering reference audio
      * @param {Buffer} audioBuffer - Audio data (min 5 seconds recommended)
      * @param {string} transcript - Transcription of the audio
      * @param {string} voiceName - Name for the cloned voice (unused, kept for interface compatibility)
      * @param {string} language - Language code ('ja' or 'en')
+     * @param {string} mimeType - MIME type of audioBuffer
      * @returns {Promise<string>} - Success indicator
      */
-    async cloneVoice(audioBuffer, transcript, voiceName = 'UserClone', language = 'ja') {
+    async cloneVoice(audioBuffer, transcript, voiceName = 'UserClone', language = 'ja', mimeType = 'audio/wav') {
         try {
             console.log('[Qwen3-TTS] Starting voice registration...');
-            console.log(`[Qwen3-TTS] Audio buffer size: ${audioBuffer.length} bytes`);
+            console.log(`[Qwen3-TTS] Audio buffer size: ${audioBuffer.length} bytes (${mimeType})`);
             console.log(`[Qwen3-TTS] Transcript: ${transcript.substring(0, 50)}...`);
 
-            // Create form data
-            const formData = new FormData();
-            formData.append('reference_audio', audioBuffer, {
-                filename: 'audio.wav',
-                contentType: 'audio/wav'
+            const registrationId = referenceId(audioBuffer, transcript);
+            await withRemoteVoice(async () => {
+                await this.register(audioBuffer, transcript, language, mimeType);
+                remoteVoice.registrationId = registrationId;
             });
-            formData.append('reference_text', transcript);
-            formData.append('language', language === 'ja' ? 'Japanese' : 'English');
 
-            // Register voice
+            this.isVoiceRegistered = true;
+            this.voiceLanguage = language;
+            // Kept so the voice can be saved to the voice library and registered again later
+            this.referenceAudio = { audio: audioBuffer, mimeType: mimeType, transcript: transcript };
+            this.registrationId = registrationId;
+
+            console.log(`[Qwen3-TTS] Voice registered successfully. ID: ${this.registrationId}, Language: ${language}`);
+            return this.registrationId;
+
+        } catch (error) {
+            console.error('[Qwen3-TTS] Voice registration error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Register reference audio on the Qwen3 server (callers hold the withRemoteVoice turn)
+     * @param {AbortSignal} signal - Cancels the request
+     */
+    async register(audioBuffer, transcript, language, mimeType, signal = null) {
+        // Create form data
+        const formData = new FormData();
+        formData.append('reference_audio', audioBuffer, {
+            filename: `audio.${extensionForMimeType(mimeType)}`,
+            contentType: mimeType
+        });
+        formData.append('reference_text', transcript);
+        formData.append('language', language === 'ja' ? 'Japanese' : 'English');
+
+        // Register voice; the voice it replaces is unknown until this succeeds
+        remoteVoice.registrationId = null;
+        const requestAbort = requestSignal(signal);
+        let result;
+        try {
             const response = await fetch(`${this.baseUrl}/register-voice/`, {
                 method: 'POST',
                 body: formData,
-                headers: formData.getHeaders()
+                headers: formData.getHeaders(),
+                signal: requestAbort
             });
 
             if (!response.ok) {
@@ -57,19 +165,16 @@ export class Qwen3TTS {
                 throw new Error(`Qwen3-TTS Registration Error (${response.status}): ${errorText}`);
             }
 
-            const result = await response.json();
-            console.log('[Qwen3-TTS] Voice registration result:', result);
-
-            this.isVoiceRegistered = true;
-            this.voiceLanguage = language;
-
-            console.log(`[Qwen3-TTS] Voice registered successfully. Language: ${language}`);
-            return 'registered';
-
+            result = await response.json();
         } catch (error) {
-            console.error('[Qwen3-TTS] Voice registration error:', error);
+            if (requestAbort.aborted && !signal?.aborted) {
+                throw new Error(`Qwen3-TTS registration timeout after ${REQUEST_TIMEOUT_MS / 1000} seconds. The external API may be slow or unavailable.`);
+            }
             throw error;
         }
+
+        console.log('[Qwen3-TTS] Voice registration result:', result);
+        return result;
     }
 
     /**
@@ -77,14 +182,32 @@ export class Qwen3TTS {
      * @param {string} text - Text to synthesize
      * @param {string} voiceId - Voice ID (unused, kept for interface compatibility)
      * @param {string} language - Language code ('ja' or 'en')
+     * @param {Object} options - { signal: AbortSignal } to cancel the request
+     * @returns {Promise<{audio: Buffer, sampleRate: number, format: string, voiceId: string}>} - Mono PCM,
+     *   with the ID of the voice it was generated in
      */
-    async synthesize(text, voiceId = null, language = null) {
+    async synthesize(text, voiceId = null, language = null, { signal } = {}) {
         if (!this.isVoiceRegistered) {
             throw new Error('No reference voice registered. Please clone a voice first.');
         }
 
         const targetLanguage = language || this.voiceLanguage || 'ja';
+        const { registrationId, referenceAudio, voiceLanguage } = this;
+
+        return withRemoteVoice(async () => {
+            if (remoteVoice.registrationId !== registrationId) {
+                console.log(`[Qwen3-TTS] Server voice was replaced by another session, registering ${registrationId} again`);
+                await this.register(referenceAudio.audio, referenceAudio.transcript, voiceLanguage, referenceAudio.mimeType, signal);
+                remoteVoice.registrationId = registrationId;
+            }
+            return { ...(await this.generate(text, targetLanguage, signal)), voiceId: registrationId };
+        }, signal);
+    }
 
+    /**
+     * Generate speech in the voice registered on the server (callers hold the withRemoteVoice turn)
+     */
+    async generate(text, targetLanguage, signal) {
         console.log(`[Qwen3-TTS] Synthesizing: "${text}" with language ${targetLanguage}`);
 
         // Create form data
@@ -92,20 +215,17 @@ export class Qwen3TTS {
         formData.append('text', text);
         formData.append('language', targetLanguage === 'ja' ? 'Japanese' : 'English');
 
-        // Generate speech with timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+        // Generate speech with timeout (also aborted when the caller cancels)
+        const requestAbort = requestSignal(signal);
 
         try {
             const response = await fetch(`${this.baseUrl}/generate/`, {
                 method: 'POST',
                 body: formData,
                 headers: formData.getHeaders(),
-                signal: controller.signal
+                signal: requestAbort
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
                 const errorText = await response.text();
                 throw new Error(`Qwen3-TTS Synthesis Error (${response.status}): ${errorText}`);
@@ -117,17 +237,24 @@ export class Qwen3TTS {
 
             console.log(`[Qwen3-TTS] Received WAV audio: ${wavBuffer.length} bytes`);
 
-            // Convert WAV to PCM s16le for compatibility with frontend
-            const pcmBuffer = this.wavToPcm(wavBuffer);
+            // Convert WAV to mono PCM s16le at the output rate for the frontend
+            const pcm = wavToPcm16(wavBuffer, this.sampleRate);
 
-            console.log(`[Qwen3-TTS] Converted to PCM: ${pcmBuffer.length} bytes`);
+            console.log(`[Qwen3-TTS] Converted ${pcm.source.sampleRate}Hz/${pcm.source.channels}ch/${pcm.source.bitsPerSample}bit WAV to PCM: ${pcm.audio.length} bytes at ${pcm.sampleRate}Hz`);
 
-            return pcmBuffer;
+            return {
+                audio: pcm.audio,
+                sampleRate: pcm.sampleRate,
+                format: pcm.format
+            };
 
         } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                console.error('[Qwen3-TTS] Request timeout after 30 seconds');
+            if (signal?.aborted) {
+                console.log(`[Qwen3-TTS] Synthesis aborted (${signal.reason})`);
+                throw error;
+            }
+            if (requestAbort.aborted) {
+                console.error(`[Qwen3-TTS] Request timeout after ${REQUEST_TIMEOUT_MS / 1000} seconds`);
                 throw new Error('Qwen3-TTS request timeout. The external API may be slow or unavailable.');
             }
             console.error('[Qwen3-TTS] Synthesis error:', error);
@@ -136,34 +263,45 @@ export class Qwen3TTS {
     }
 
     /**
-     * Convert WAV buffer to raw PCM data
-     * Assumes WAV is 16-bit PCM
-     * @param {Buffer} wavBuffer - WAV file buffer
-     * @returns {Buffer} - Raw PCM data
+     * Fields stored in the voice library for the current clone
+     * Qwen3 has no persistent voice IDs, so the reference audio itself is saved
      */
-    wavToPcm(wavBuffer) {
-        // WAV header is typically 44 bytes for standard PCM
-        // Find 'data' chunk
-        let dataOffset = 44; // Default offset
-
-        // Try to find 'data' chunk marker
-        for (let i = 0; i < Math.min(wavBuffer.length - 4, 100); i++) {
-            if (wavBuffer.toString('ascii', i, i + 4) === 'data') {
-                // 'data' marker found, data starts after 4-byte size field
-                dataOffset = i + 8;
-                break;
-            }
+    getSavedVoiceData() {
+        if (!this.referenceAudio) {
+            return {};
         }
+        return {
+            referenceAudio: this.referenceAudio.audio,
+            referenceMimeType: this.referenceAudio.mimeType,
+            referenceTranscript: this.referenceAudio.transcript
+        };
+    }
 
-        // Extract PCM data
-        return wavBuffer.slice(dataOffset);
+    /**
+     * Use a voice saved in the voice library by registering its reference audio again
+     * @param {Object} profile - Voice library profile
+     * @param {Buffer} referenceAudio - The profile's stored reference audio
+     */
+    async restoreVoice(profile, referenceAudio) {
+        if (!referenceAudio) {
+            throw new Error('Saved voice has no reference audio');
+        }
+        console.log(`[Qwen3-TTS] Using saved voice "${profile.name}"`);
+        await this.cloneVoice(referenceAudio, profile.referenceTranscript || profile.introduction, profile.name, profile.language, profile.referenceMimeType);
+    }
+
+    /**
+     * Whether synthesize() can run (Qwen3 needs a registered reference voice)
+     */
+    canSynthesize() {
+        return this.isVoiceRegistered;
     }
 
     /**
      * Get current voice ID
      */
     getVoiceId() {
-        return this.isVoiceRegistered ? 'registered' : null;
+        return this.isVoiceRegistered ? this.registrationId : null;
     }
 
     /**
@@ -172,6 +310,8 @@ export class Qwen3TTS {
     setVoiceId(voiceId) {
         if (voiceId === null) {
             this.isVoiceRegistered = false;
+            this.registrationId = null;
+            this.referenceAudio = null;
         }
         console.log(`[Qwen3-TTS] Voice registration status: ${this.isVoiceRegistered}`);
     }
@@ -183,12 +323,11 @@ export class Qwen3TTS {
         try {
             const response = await fetch(`${this.baseUrl}/`, {
                 method: 'GET',
-                timeout: 5000
+                signal: AbortSignal.timeout(5000)
             });
 
+            // Probed on a schedule by the TTS health monitor, which logs status changes
             if (response.ok) {
-                const data = await response.json();
-                console.log('[Qwen3-TTS] Service health:', data);
                 return true;
             }
             return false;
@@ -7,9 +7,17 @@ import fs from 'fs';
 import path from 'path';
 import { AzureOpenAI } from 'openai';
 import dotenv from 'dotenv';
+import { rankCandidates } from './predictionCandidates.js';
+import { LexicalIndex } from './lexicalIndex.js';
+import { readManifest, readChunks, readKnowledgeBase } from './knowledgeBaseStore.js';
+import { getEmbeddingDeployment, checkEmbeddingCompatibility } from './embeddingConfig.js';
+import { VectorSearch } from './vectorSearch.js';
 
 dotenv.config();
 
+// Nearest chunks (and best keyword matches) scored when searching in the worker
+const SEARCH_CANDIDATES = 50;
+
 export class RAGPredictor {
   constructor() {
     this.client = new AzureOpenAI({
@@ -19,18 +27,42 @@ export class RAGPredictor {
     });
 
     this.deploymentName = process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4.1-mini';
-    this.embeddingModel = process.env.AZURE_OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002';
-
-    this.knowledgeBase = []; // Array of {text, embedding}
+    this.embeddingModel = getEmbeddingDeployment();
+    // Number of candidates: the completion and the likeliest alternatives to its first token (3-5 recommended)
+    this.candidateCount = Math.min(5, Math.max(1, parseInt(process.env.PREDICTION_CANDIDATES, 10) || 5));
+
+    // Retrieval combines embedding similarity with BM25 keyword scores (weights are
+    // normalized to sum to 1) and drops results below minScore
+    const vectorWeight = parseFloat(process.env.RAG_VECTOR_WEIGHT ?? '0.7');
+    const lexicalWeight = parseFloat(process.env.RAG_LEXICAL_WEIGHT ?? '0.3');
+    const totalWeight = vectorWeight + lexicalWeight;
+    this.vectorWeight = totalWeight > 0 ? vectorWeight / totalWeight : 1;
+    this.lexicalWeight = totalWeight > 0 ? lexicalWeight / totalWeight : 0;
+    this.minScore = parseFloat(process.env.RAG_MIN_SCORE ?? '0.25');
+    // Knowledge bases with at least this many chunks are searched in a worker thread
+    // (with the HNSW index built for them by buildRAG.js)
+    this.workerMinChunks = parseInt(process.env.RAG_ANN_MIN_CHUNKS, 10) || 2000;
+
+    this.knowledgeBase = []; // Array of {text, embedding, source, page?, section?, start, end}
+    this.lexicalIndex = null;
+    this.vectorSearch = null; // Worker search for large knowledge bases (null = scan here)
     this.modelLoaded = false;
     this.modelName = null;
+    this.knowledgeBasePath = null;
     this.language = 'ja';
+    this.dimensions = null;      // Embedding dimensions of the loaded knowledge base
+    this.avgChunkLength = 0;
+    this.loadError = null;       // Why the last load was refused (embedding model mismatch)
   }
 
   /**
    * Load knowledge base from JSON file
+   * Knowledge bases built with another embedding deployment are refused (see loadError),
+   * the current one stays loaded
    */
   async loadKnowledgeBase(knowledgeBasePath) {
+    this.loadError = null;
+
     try {
       console.log(`[RAG] Loading knowledge base from: ${knowledgeBasePath}`);
 
@@ -39,16 +71,56 @@ export class RAGPredictor {
         return false;
       }
 
-      const data = JSON.parse(fs.readFileSync(knowledgeBasePath, 'utf-8'));
+      const { compatible, warning } = checkEmbeddingCompatibility(readManifest(knowledgeBasePath), this.embeddingModel);
+      if (!compatible) {
+        console.error(`[RAG] Refusing to load knowledge base: ${warning}`);
+        this.loadError = warning;
+        return false;
+      }
+      if (warning) {
+        console.warn(`[RAG] ${warning}`);
+      }
 
-      this.knowledgeBase = data.chunks || [];
-      this.modelName = data.modelName;
-      this.language = data.language || 'ja';
+      // Large knowledge bases keep their vectors only in the worker, which sessions
+      // using the same build share
+      let manifest, chunks, lexicalIndex;
+      let vectorSearch = null;
+
+      if (readManifest(knowledgeBasePath).chunkCount >= this.workerMinChunks) {
+        ({ manifest, chunks, lexicalIndex } = readChunks(knowledgeBasePath));
+        const buildKey = `${knowledgeBasePath}:${fs.statSync(knowledgeBasePath).mtimeMs}`;
+        vectorSearch = VectorSearch.acquire(buildKey, () => {
+          const { vectors, annIndex } = readKnowledgeBase(knowledgeBasePath);
+          return { vectors, dimensions: manifest.dimensions, annIndex };
+        });
+      } else {
+        ({ manifest, chunks, lexicalIndex } = readKnowledgeBase(knowledgeBasePath));
+      }
+
+      this.vectorSearch?.release();
+      this.vectorSearch = vectorSearch;
+
+      this.knowledgeBase = chunks;
+      this.modelName = manifest.modelName;
+      this.knowledgeBasePath = knowledgeBasePath;
+      this.language = manifest.language || 'ja';
+      this.dimensions = manifest.dimensions;
+      this.avgChunkLength = manifest.stats?.avgChunkLength || 0;
+
+      // Knowledge bases built before the keyword index existed get one now
+      if (lexicalIndex) {
+        this.lexicalIndex = new LexicalIndex(lexicalIndex);
+      } else {
+        console.log('[RAG] No keyword index in knowledge base, building it...');
+        this.lexicalIndex = LexicalIndex.build(this.knowledgeBase.map(chunk => chunk.text), this.language);
+      }
 
       console.log(`[RAG] Knowledge base loaded successfully`);
       console.log(`[RAG] - Model name: ${this.modelName}`);
       console.log(`[RAG] - Language: ${this.language}`);
-      console.log(`[RAG] - Total chunks: ${this.knowledgeBase.length}`);
+      console.log(`[RAG] - Embedding model: ${manifest.embeddingModel || 'unknown'}`);
+      console.log(`[RAG] - Total chunks: ${this.knowledgeBase.length} (${manifest.dimensions}-dim ${manifest.vectorEncoding} vectors)`);
+      console.log(`[RAG] - Vector search: ${!this.vectorSearch ? 'full scan' : manifest.annIndexFile ? 'HNSW index (shared worker)' : 'full scan (shared worker, rebuild the knowledge base to add an HNSW index)'}`);
 
       this.modelLoaded = true;
       return true;
@@ -62,15 +134,16 @@ export class RAGPredictor {
   /**
    * Create embedding for text using Azure OpenAI
    */
-  async createEmbedding(text) {
+  async createEmbedding(text, signal = undefined) {
     try {
       const response = await this.client.embeddings.create({
         model: this.embeddingModel,
         input: text
-      });
+      }, { signal });
 
       return response.data[0].embedding;
     } catch (error) {
+      if (signal?.aborted) return null;
       console.error('[RAG] Error creating embedding:', error.message);
       return null;
     }
@@ -96,32 +169,119 @@ export class RAGPredictor {
   }
 
   /**
-   * Search for relevant chunks using semantic similarity
+   * Search for relevant chunks using semantic similarity and keyword matches
+   * @returns {Promise<Array<{index: number, text: string, score: number, vectorScore: number, lexicalScore: number, source?: string, page?: number, section?: string, start?: number, end?: number}>>}
+   *   index is the chunk's position in the knowledge base, score the weighted combination;
+   *   provenance fields are missing for knowledge bases built before they were recorded
    */
-  async searchRelevantChunks(query, topK = 3) {
+  async searchRelevantChunks(query, topK = 3, signal = undefined) {
     if (!this.modelLoaded || this.knowledgeBase.length === 0) {
       return [];
     }
 
     // Create embedding for query
-    const queryEmbedding = await this.createEmbedding(query);
+    const queryEmbedding = await this.createEmbedding(query, signal);
     if (!queryEmbedding) return [];
 
-    // Calculate similarity scores
-    const scores = this.knowledgeBase.map(chunk => ({
-      text: chunk.text,
-      score: this.cosineSimilarity(queryEmbedding, chunk.embedding)
-    }));
+    // Similarities between vectors of different sizes are meaningless
+    if (this.dimensions && queryEmbedding.length !== this.dimensions) {
+      console.error(`[RAG] ${this.dimensionMismatch(queryEmbedding)}`);
+      return [];
+    }
 
-    // Sort by similarity and return top K
+    return this.rankChunks(query, queryEmbedding, topK);
+  }
+
+  /**
+   * Run a query from the inspection panel
+   * Unlike searchRelevantChunks, failures are thrown so they can be shown
+   * @returns {Promise<{results: Array, relevant: boolean, minScore: number, vectorWeight: number, lexicalWeight: number}>}
+   *   results as searchRelevantChunks; relevant tells whether predict() would use them
+   */
+  async testQuery(query, topK = 5) {
+    if (!this.modelLoaded) {
+      throw new Error('No knowledge base loaded');
+    }
+
+    const queryEmbedding = await this.createEmbedding(query);
+    if (!queryEmbedding) {
+      throw new Error(`Could not create an embedding with "${this.embeddingModel}"`);
+    }
+    if (this.dimensions && queryEmbedding.length !== this.dimensions) {
+      throw new Error(this.dimensionMismatch(queryEmbedding));
+    }
+
+    const results = await this.rankChunks(query, queryEmbedding, topK);
+    return {
+      results: results,
+      relevant: results.length > 0 && results[0].score >= this.minScore,
+      minScore: this.minScore,
+      vectorWeight: this.vectorWeight,
+      lexicalWeight: this.lexicalWeight
+    };
+  }
+
+  dimensionMismatch(queryEmbedding) {
+    return `Query embedding from "${this.embeddingModel}" has ${queryEmbedding.length} dimensions, the knowledge base has ${this.dimensions}. Rebuild it with this embedding deployment`;
+  }
+
+  /**
+   * Combine vector and keyword scores of a query and keep the best chunks
+   */
+  async rankChunks(query, queryEmbedding, topK) {
+    // Unloading while waiting for the worker must not mix in another knowledge base
+    const knowledgeBase = this.knowledgeBase;
+    const lexicalScores = this.lexicalIndex.score(query);
+    const vectorScores = await this.vectorSimilarities(queryEmbedding, lexicalScores);
+
+    // Calculate combined scores
+    const scores = [...vectorScores].map(([index, vectorScore]) => {
+      const chunk = knowledgeBase[index];
+      return {
+        index: index,
+        text: chunk.text,
+        score: this.vectorWeight * vectorScore + this.lexicalWeight * lexicalScores[index],
+        vectorScore: vectorScore,
+        lexicalScore: lexicalScores[index],
+        source: chunk.source,
+        page: chunk.page,
+        section: chunk.section,
+        start: chunk.start,
+        end: chunk.end
+      };
+    });
+
+    // Sort by combined score and return top K
     scores.sort((a, b) => b.score - a.score);
     return scores.slice(0, topK);
   }
 
+  /**
+   * Cosine similarity of the query to candidate chunks
+   * Small knowledge bases are scanned in full here; large ones are searched in the worker,
+   * which scores the nearest chunks and the best keyword matches
+   * @returns {Promise<Map<number, number>>} - Chunk index -> similarity
+   */
+  async vectorSimilarities(queryEmbedding, lexicalScores) {
+    if (!this.vectorSearch) {
+      return new Map(this.knowledgeBase.map((chunk, index) => [index, this.cosineSimilarity(queryEmbedding, chunk.embedding)]));
+    }
+
+    const keywordMatches = [...lexicalScores.keys()]
+      .filter(index => lexicalScores[index] > 0)
+      .sort((a, b) => lexicalScores[b] - lexicalScores[a])
+      .slice(0, SEARCH_CANDIDATES);
+
+    const results = await this.vectorSearch.search(queryEmbedding, SEARCH_CANDIDATES, keywordMatches);
+    return new Map(results.map(({ index, similarity }) => [index, similarity]));
+  }
+
   /**
    * Predict next word using RAG
+   * @param {Object} options - { signal: AbortSignal } to cancel the embedding and chat requests
+   * @returns {Promise<Object|null>} - Prediction with the chunks it used in `sources`
    */
-  async predict(context, conversationHistory = '', language = 'ja') {
+  async predict(context, conversationHistory = '', language = 'ja', { signal } = {}) {
     if (!this.modelLoaded) {
       return null;
     }
@@ -130,16 +290,21 @@ export class RAGPredictor {
       const startTime = Date.now();
 
       // Search for relevant knowledge
-      const relevantChunks = await this.searchRelevantChunks(context, 3);
+      const relevantChunks = await this.searchRelevantChunks(context, 3, signal);
+
+      if (signal?.aborted) {
+        return null;
+      }
 
-      if (relevantChunks.length === 0 || relevantChunks[0].score < 0.3) {
+      if (relevantChunks.length === 0 || relevantChunks[0].score < this.minScore) {
         console.log('[RAG] No relevant knowledge found (low similarity)');
         return null;
       }
 
       const searchTime = Date.now() - startTime;
+      const top = relevantChunks[0];
       console.log(`[RAG] Found ${relevantChunks.length} relevant chunks in ${searchTime}ms`);
-      console.log(`[RAG] Top similarity: ${relevantChunks[0].score.toFixed(3)}`);
+      console.log(`[RAG] Top score: ${top.score.toFixed(3)} (vector ${top.vectorScore.toFixed(3)}, keyword ${top.lexicalScore.toFixed(3)})`);
 
       // Build context from relevant chunks
       const knowledgeContext = relevantChunks
@@ -185,7 +350,9 @@ Rules:
         max_tokens: 20,
         temperature: 0.7,
         top_p: 0.9,
-      });
+        logprobs: true,
+        top_logprobs: this.candidateCount
+      }, { signal });
 
       const predictedText = response.choices[0].message.content.trim();
       const llmTime = Date.now() - llmStartTime;
@@ -194,20 +361,31 @@ Rules:
       console.log(`[RAG] LLM prediction: "${predictedText}" (LLM: ${llmTime}ms, Total: ${totalTime}ms)`);
 
       // Extract word (similar to azurePredictor)
-      const word = language === 'ja'
-        ? predictedText.split(/\s+/)[0].trim()
-        : predictedText.replace(/[。、.,!?;:"'「」『』（）()[\]]+$/g, '').trim();
+      const extractWord = text => language === 'ja'
+        ? text.split(/\s+/)[0].trim()
+        : text.replace(/[。、.,!?;:"'「」『』（）()[\]]+$/g, '').trim();
+
+      const candidates = rankCandidates(response.choices[0], extractWord, this.candidateCount);
+      const best = candidates[0];
+
+      console.log(`[RAG] Candidates: ${candidates.map(c => `${c.word} (${c.score})`).join(', ')}`);
 
       return {
-        word: word || null,
-        confidence: relevantChunks[0].score,
+        word: best ? best.word : null,
+        confidence: best ? best.score : 0,
+        candidates: candidates,
         reasoning: 'rag_prediction',
         rawResponse: predictedText,
         relevantChunks: relevantChunks.length,
-        topSimilarity: relevantChunks[0].score
+        topSimilarity: relevantChunks[0].score,
+        sources: relevantChunks  // Chunks given to the LLM, most similar first
       };
 
     } catch (error) {
+      if (signal?.aborted) {
+        console.log(`[RAG] Prediction aborted (${signal.reason})`);
+        return null;
+      }
       console.error('[RAG] Prediction error:', error.message);
       return null;
     }
@@ -222,6 +400,9 @@ Rules:
       modelName: this.modelName,
       language: this.language,
       totalChunks: this.knowledgeBase.length,
+      avgChunkLength: this.avgChunkLength,
+      embeddingModel: this.embeddingModel,
+      dimensions: this.dimensions,
       type: 'rag'
     };
   }
@@ -231,8 +412,14 @@ Rules:
    */
   unload() {
     this.knowledgeBase = [];
+    this.lexicalIndex = null;
+    this.vectorSearch?.release();
+    this.vectorSearch = null;
     this.modelLoaded = false;
     this.modelName = null;
+    this.knowledgeBasePath = null;
+    this.dimensions = null;
+    this.avgChunkLength = 0;
     console.log('[RAG] Knowledge base unloaded');
   }
 }
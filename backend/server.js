@@ -4,20 +4,37 @@
  */
 
 import express from 'express';
+import multer from 'multer';
 import { WebSocketServer } from 'ws';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { AzurePredictor } from './azurePredictor.js';
-import { CartesiaTTS } from './cartesiaTTS.js';
-import { Qwen3TTS } from './qwen3TTS.js';
 import { TranscriptCorrector } from './transcriptCorrector.js';
+import { Session, DEFAULT_TTS_PROVIDER } from './session.js';
+import { NgramPredictor } from './ngramPredictor.js';
+import { prepareCloneAudio } from './audioTranscoder.js';
+import { analyzeRecording } from './voiceQualityAnalyzer.js';
+import { VoiceLibrary } from './voiceLibrary.js';
+import { CartesiaTTS } from './cartesiaTTS.js';
+import { TTSHealthMonitor } from './ttsHealthMonitor.js';
+import { TTSCache } from './ttsCache.js';
+import { Speculation } from './speculativeSynthesis.js';
+import { isManifestFile, readManifest, readChunks, knowledgeBaseSize, removeKnowledgeBase, renameKnowledgeBase } from './knowledgeBaseStore.js';
 import { RAGPredictor } from './ragPredictor.js';
+import { getEmbeddingDeployment, checkEmbeddingCompatibility } from './embeddingConfig.js';
+import { BuildJobManager } from './buildJobManager.js';
+import { SUPPORTED_EXTENSIONS } from './documentReader.js';
+import {
+  ValidationError, validateRequest, parseRequest, sendValidationError, validateName, knowledgeBaseName,
+  knowledgeFolderPath, manifestPath, resolveInside, KNOWLEDGE_DATA_DIR, LANGUAGES
+} from './validation.js';
 import { Gpt4oTranscribe } from './gpt4oTranscribe.js';
 import { RealtimeTranscribe } from './realtimeTranscribe.js';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,19 +50,9 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.static('frontend'));
 
 // Initialize AI components
-const azurePredictor = new AzurePredictor();
+// Predictors and TTS providers are created per session (see session.js)
 const transcriptCorrector = new TranscriptCorrector();
-const ragPredictor = new RAGPredictor();
-
-// Initialize TTS providers
-const ttsProviders = {
-  cartesia: new CartesiaTTS(),
-  qwen3: new Qwen3TTS()
-};
-
-// Default provider
-let activeTTSProvider = ttsProviders.cartesia;
-console.log('🎙️  Default TTS provider: Cartesia');
+console.log(`🎙️  Default TTS provider: ${DEFAULT_TTS_PROVIDER}`);
 
 // Initialize GPT-4o Transcribe ASR (optional)
 let gpt4oTranscribe = null;
@@ -71,6 +78,19 @@ async function initGpt4oTranscribe() {
 // Call initialization (async, non-blocking)
 initGpt4oTranscribe();
 
+// Predictions (LLM + TTS) finishing later than this are dropped, matching the client's
+// 3 second audio playback window
+const PREDICTION_DEADLINE_MS = parseInt(process.env.PREDICTION_DEADLINE_MS, 10) || 3000;
+
+// Stream TTS audio to the client chunk by chunk when the provider supports it
+// (set TTS_STREAMING=false to always send whole clips)
+const TTS_STREAMING = process.env.TTS_STREAMING !== 'false';
+
+// Interim transcripts pre-synthesize this many candidates while waiting for the speaker
+// to pause (1 disables speculation), and this much silence counts as a pause
+const SPECULATION_CANDIDATES = parseInt(process.env.SPECULATION_CANDIDATES ?? '3', 10);
+const SPECULATION_PAUSE_MS = parseInt(process.env.SPECULATION_PAUSE_MS, 10) || 400;
+
 // Initialize ASR provider
 const ASR_PROVIDER = process.env.ASR_PROVIDER || 'browser';
 console.log('🎤 Using Browser Web Speech API');
@@ -78,39 +98,198 @@ console.log('🎤 Using Browser Web Speech API');
 // Realtime API transcription connections per session
 const realtimeConnections = new Map();
 
-// Session state
+// Session state (sessionId -> Session)
 const sessions = new Map();
 
 // Language settings per session
 const sessionLanguages = new Map();
 
+// Built n-gram models shared across sessions ("<folder>:<language>" -> Promise<NgramPredictor>)
+const ngramModels = new Map();
+
+// Prediction modes when an n-gram model is attached to a session
+const NGRAM_MODES = ['ngram', 'hybrid'];
+
+// TTS provider health (shared by all sessions, probed on a schedule)
+const ttsHealthMonitor = new TTSHealthMonitor();
+
+// Synthesized audio of repeated predictions (shared by all sessions, keyed by voice)
+// Set TTS_CACHE_DIR to keep it across restarts
+const ttsCache = new TTSCache({
+  maxEntries: parseInt(process.env.TTS_CACHE_MAX_ENTRIES, 10) || 500,
+  maxBytes: (parseInt(process.env.TTS_CACHE_MAX_MB, 10) || 50) * 1024 * 1024,
+  directory: process.env.TTS_CACHE_DIR ? path.resolve(__dirname, '..', process.env.TTS_CACHE_DIR) : null
+});
+
+// Saved voice profiles (shared by all sessions)
+const voiceLibrary = new VoiceLibrary(path.join(__dirname, '../voices'));
+
+// Background RAG knowledge base builds (progress goes to every connected client)
+const buildJobs = new BuildJobManager({
+  scriptPath: path.join(__dirname, 'buildRAG.js'),
+  cwd: path.join(__dirname, '..'),
+  onUpdate: (job) => {
+    for (const session of sessions.values()) {
+      session.send({ type: 'build_progress', job: job });
+    }
+  }
+});
+
+// Knowledge base inspection (shared by all clients, one knowledge base at a time)
+// chunks: last paged knowledge base's chunks, predictor: last one test-queried.
+// Both are reloaded when the knowledge base is rebuilt (its manifest changes)
+let inspectedChunks = null;    // { ragPath, mtimeMs, manifest, chunks, failedChunks }
+let inspectedPredictor = null; // { ragPath, mtimeMs, predictor, loaded: Promise<boolean> }
+
+// Request schemas of the file-backed routes (see validation.js). File names and folders are
+// resolved to paths inside rag-knowledge/ and knowledge-data/ while validating
+const MANIFEST_PARAM = { filename: { type: 'string', required: true, check: manifestPath } };
+
+// Build settings shared by /api/rag-knowledge/build and uploads
+const BUILD_SETTINGS = {
+  language: { type: 'string', required: true, values: LANGUAGES },
+  chunkSize: { type: 'integer', default: 500, min: 1, max: 8000 },
+  chunkOverlap: { type: 'integer', default: 50, min: 0, max: 8000 },
+  fullRebuild: { type: 'boolean', default: false },
+  include: { type: 'patterns', default: [] },
+  exclude: { type: 'patterns', default: [] }
+};
+
+function checkChunkSettings({ chunkSize, chunkOverlap }) {
+  if (chunkOverlap >= chunkSize) {
+    throw new ValidationError('chunkOverlap must be smaller than chunkSize', { field: 'chunkOverlap' });
+  }
+}
+
+const BUILD_REQUEST = {
+  body: {
+    knowledgeFolder: { type: 'string', required: true, check: knowledgeFolderPath },
+    modelName: { type: 'string', required: true, check: knowledgeBaseName },
+    ...BUILD_SETTINGS
+  },
+  check: checkChunkSettings
+};
+
+// The folder is created when it does not exist yet, its name is the knowledge base name
+const UPLOAD_REQUEST = {
+  body: {
+    folder: { type: 'string', required: true, check: knowledgeBaseName },
+    ...BUILD_SETTINGS
+  },
+  check: checkChunkSettings
+};
+
+// Knowledge data uploaded from the browser is staged in a temporary folder and moved to
+// knowledge-data/<folder> once the whole request has been accepted
+const UPLOAD_MAX_FILE_MB = parseFloat(process.env.KNOWLEDGE_UPLOAD_MAX_FILE_MB) || 50;
+const UPLOAD_MAX_FILES = parseInt(process.env.KNOWLEDGE_UPLOAD_MAX_FILES, 10) || 100;
+const knowledgeUpload = multer({
+  dest: path.join(os.tmpdir(), 'predictive-speaking-uploads'),
+  defParamCharset: 'utf8', // Japanese file names
+  limits: { fileSize: UPLOAD_MAX_FILE_MB * 1024 * 1024, files: UPLOAD_MAX_FILES }
+});
+
 // Create HTTP server
 const server = createServer(app);
 
 // WebSocket server
 const wss = new WebSocketServer({ server });
 
+/**
+ * Middleware: resolve the WebSocket session a REST request belongs to
+ * Clients pass the ID received in the 'session' message as the X-Session-Id header
+ */
+function requireSession(req, res, next) {
+  const sessionId = req.get('X-Session-Id') || req.body?.sessionId;
+  const session = sessionId ? sessions.get(sessionId) : null;
+
+  if (!session) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown session',
+      message: 'No active WebSocket session for this request. Please reload the page.'
+    });
+  }
+
+  res.locals.session = session;
+  next();
+}
+
 // REST API Routes
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
-    ttsProvider: activeTTSProvider.getProviderName(),
+    ttsProvider: DEFAULT_TTS_PROVIDER,
     asrProvider: ASR_PROVIDER,
     predictor: 'azure-llm-only',
-    voiceId: activeTTSProvider.getVoiceId()
+    activeSessions: sessions.size,
+    ttsHealth: ttsHealthMonitor.getStatus(),
+    ttsCache: ttsCache.getStats()
   });
 });
 
+/**
+ * Whether a request field is a base64 data URL the client recorded
+ */
+function isAudioDataUrl(audioData) {
+  return typeof audioData === 'string' && /^data:[^,]*;base64,/.test(audioData);
+}
+
+/**
+ * Response for a missing or malformed audioData field
+ */
+function invalidAudioData(res, audioData) {
+  return res.status(400).json({
+    success: false,
+    error: audioData ? 'Invalid audioData' : 'Missing audioData',
+    message: 'audioData must be a base64 data URL ("data:audio/webm;base64,...")'
+  });
+}
+
+/**
+ * Decode a base64 data URL ("data:audio/webm;codecs=opus;base64,...") from the client
+ * Check it with isAudioDataUrl first
+ * @returns {{audioBuffer: Buffer, mimeType: string}}
+ */
+function decodeAudioDataUrl(audioData) {
+  const [dataUrlHeader, base64Audio] = audioData.split(',');
+  return {
+    audioBuffer: Buffer.from(base64Audio || '', 'base64'),
+    mimeType: dataUrlHeader.match(/^data:([^;,]+)/)?.[1] || 'audio/webm'
+  };
+}
+
+// Voice quality check (run by the setup phase before cloning, costs no provider credits)
+app.post('/api/clone-voice/analyze', async (req, res) => {
+  const { audioData } = req.body;
+
+  if (!isAudioDataUrl(audioData)) {
+    return invalidAudioData(res, audioData);
+  }
+
+  try {
+    const { audioBuffer, mimeType } = decodeAudioDataUrl(audioData);
+    const report = await analyzeRecording(audioBuffer, mimeType);
+
+    res.json({
+      success: true,
+      quality: report
+    });
+  } catch (error) {
+    console.error('[API] Error analyzing recording:', error);
+    res.status(500).json({ success: false, error: 'Failed to analyze recording', message: error.message });
+  }
+});
+
 // Voice cloning endpoint
-app.post('/api/clone-voice', async (req, res) => {
+app.post('/api/clone-voice', requireSession, async (req, res) => {
+  const session = res.locals.session;
+
   try {
-    let { audioData, transcript, language } = req.body;
+    let { audioData, transcript, language, voiceName } = req.body;
 
-    if (!audioData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing audioData'
-      });
+    if (!isAudioDataUrl(audioData)) {
+      return invalidAudioData(res, audioData);
     }
 
     console.log('[Server] Received voice cloning request');
@@ -118,8 +297,19 @@ app.post('/api/clone-voice', async (req, res) => {
     console.log(`[Server] Language: ${language || 'ja'}`);
 
     // Convert base64 to buffer
-    const audioBuffer = Buffer.from(audioData.split(',')[1], 'base64');
-    console.log(`[Server] Audio buffer size: ${audioBuffer.length} bytes`);
+    const { audioBuffer, mimeType } = decodeAudioDataUrl(audioData);
+    console.log(`[Server] Audio buffer size: ${audioBuffer.length} bytes (${mimeType})`);
+
+    // Refuse recordings that would make an unusable clone before spending provider credits
+    const quality = await analyzeRecording(audioBuffer, mimeType);
+    if (quality.verdict === 'fail') {
+      return res.status(422).json({
+        success: false,
+        error: 'Voice quality check failed',
+        message: quality.checks.filter(c => c.status === 'fail').map(c => c.message).join('; '),
+        quality: quality
+      });
+    }
 
     // If transcript is empty, use GPT-4o to transcribe
     if (!transcript || transcript.trim().length === 0) {
@@ -154,24 +344,47 @@ app.post('/api/clone-voice', async (req, res) => {
       }
     }
 
+    // Convert the recording into the provider's preferred format, trimming silence
+    // and normalizing loudness (the original recording is used if ffmpeg is unavailable)
+    const provider = session.activeTTSProvider;
+
+    // Clips of the voice being replaced are no longer needed
+    if (provider.getVoiceId()) {
+      ttsCache.invalidateVoice(provider.getProviderName(), provider.getVoiceId());
+    }
+
+    const cloneAudio = await prepareCloneAudio(audioBuffer, mimeType, provider.getCloneAudioFormat());
+
     // Clone voice (pass transcript for providers that need it)
-    console.log(`[Server] Attempting voice cloning with ${activeTTSProvider.getProviderName()}...`);
-    const voiceId = await activeTTSProvider.cloneVoice(audioBuffer, transcript, 'UserVoice', language || 'ja');
+    console.log(`[Server] Attempting voice cloning with ${provider.getProviderName()} for session ${session.id}...`);
+    const profileName = (voiceName || '').trim() || `Voice ${new Date().toLocaleString('ja-JP')}`;
+    const voiceId = await provider.cloneVoice(cloneAudio.audio, transcript, profileName, language || 'ja', cloneAudio.mimeType);
     console.log('[Server] Voice cloning successful!');
 
+    // Save to the voice library so the voice can be reused without recording again
+    const profile = voiceLibrary.save({
+      name: profileName,
+      language: language || 'ja',
+      provider: provider.getProviderName(),
+      introduction: transcript,
+      ...provider.getSavedVoiceData()
+    });
+
     // Reset conversation history before adding new voice clone introduction
     // This ensures old session data doesn't interfere with new voice
-    azurePredictor.reset();
+    session.azurePredictor.reset();
     console.log('[Server] Reset conversation history for new voice');
 
     // Add self-introduction transcript to conversation history
     // This allows the LLM to reference the introduction content (name, etc.)
-    azurePredictor.addToHistory(transcript);
+    session.azurePredictor.addToHistory(transcript);
     console.log('[Server] Added self-introduction to conversation history');
 
     res.json({
       success: true,
-      voiceId: voiceId
+      voiceId: voiceId,
+      profile: profile,
+      quality: quality
     });
 
   } catch (error) {
@@ -187,12 +400,146 @@ app.post('/api/clone-voice', async (req, res) => {
   }
 });
 
+// List saved voice profiles
+app.get('/api/voices', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      voices: voiceLibrary.list()
+    });
+  } catch (error) {
+    console.error('[Voice Library] Error listing voices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list voices',
+      message: error.message
+    });
+  }
+});
+
+// Use a saved voice for this session instead of recording a new one
+app.post('/api/voices/:id/select', requireSession, async (req, res) => {
+  const session = res.locals.session;
+  const profile = voiceLibrary.get(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Voice not found'
+    });
+  }
+
+  const previousProvider = session.activeTTSProvider.getProviderName();
+
+  try {
+    if (!session.setTTSProvider(profile.provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown TTS provider',
+        message: `Voice was created with unsupported provider: ${profile.provider}`
+      });
+    }
+
+    await session.activeTTSProvider.restoreVoice(profile, voiceLibrary.readReferenceAudio(profile));
+
+    // Same history setup as after a fresh clone: the introduction gives the LLM context
+    session.azurePredictor.reset();
+    if (profile.introduction) {
+      session.azurePredictor.addToHistory(profile.introduction);
+    }
+
+    console.log(`[Voice Library] Session ${session.id} using voice "${profile.name}" (${profile.provider})`);
+
+    res.json({
+      success: true,
+      profile: profile
+    });
+  } catch (error) {
+    console.error('[Voice Library] Error selecting voice:', error);
+    session.setTTSProvider(previousProvider);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to use saved voice',
+      message: error.message
+    });
+  }
+});
+
+// Rename a saved voice
+app.patch('/api/voices/:id', (req, res) => {
+  const name = (req.body.name || '').trim();
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing name'
+    });
+  }
+
+  const profile = voiceLibrary.rename(req.params.id, name);
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Voice not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    profile: profile
+  });
+});
+
+// Delete a saved voice (and the permanent Cartesia voice behind it)
+app.delete('/api/voices/:id', async (req, res) => {
+  const profile = voiceLibrary.get(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Voice not found'
+    });
+  }
+
+  try {
+    if (profile.provider === 'cartesia' && profile.voiceId) {
+      await new CartesiaTTS().deleteVoice(profile.voiceId);
+      ttsCache.invalidateVoice('cartesia', profile.voiceId);
+
+      // Sessions still speaking with this voice fall back to the default voice
+      for (const session of sessions.values()) {
+        if (session.ttsProviders.cartesia.getVoiceId() === profile.voiceId) {
+          session.ttsProviders.cartesia.setVoiceId(null);
+        }
+      }
+    }
+
+    voiceLibrary.remove(profile.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Voice Library] Error deleting voice:', error);
+    res.status(502).json({
+      success: false,
+      error: 'Failed to delete voice',
+      message: error.message
+    });
+  }
+});
+
 // Reset session endpoint
-app.post('/api/reset', (req, res) => {
-  console.log('[Server] Resetting session...');
+app.post('/api/reset', requireSession, (req, res) => {
+  const session = res.locals.session;
+  console.log(`[Server] Resetting session ${session.id}...`);
+
+  // The cloned voices (of every provider) are discarded, so are their cached clips
+  for (const provider of Object.values(session.ttsProviders)) {
+    if (provider.getVoiceId()) {
+      ttsCache.invalidateVoice(provider.getProviderName(), provider.getVoiceId());
+    }
+  }
 
-  azurePredictor.reset();
-  activeTTSProvider.setVoiceId(null);
+  session.reset();
 
   res.json({ success: true, message: 'Session reset complete' });
 });
@@ -243,25 +590,39 @@ app.get('/api/rag-knowledge', (req, res) => {
       return res.json({ knowledgeBases: [] });
     }
 
+    // Only manifests are read here, vectors and chunk texts stay on disk
+    const embeddingDeployment = getEmbeddingDeployment();
     const files = fs.readdirSync(ragDir)
-      .filter(f => f.endsWith('.json'))
-      .map(f => {
+      .filter(isManifestFile)
+      .flatMap(f => {
         const filePath = path.join(ragDir, f);
-        const stats = fs.statSync(filePath);
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        let manifest;
+        try {
+          manifest = readManifest(filePath);
+        } catch (error) {
+          console.warn(`[API] Skipping ${f}: ${error.message}`);
+          return [];
+        }
+
+        const { compatible, warning } = checkEmbeddingCompatibility(manifest, embeddingDeployment);
 
-        return {
+        return [{
           filename: f,
-          name: data.modelName || f.replace('.json', ''),
-          language: data.language || 'unknown',
-          totalChunks: data.stats?.totalChunks || 0,
-          avgChunkLength: data.stats?.avgChunkLength || 0,
-          createdAt: data.createdAt || stats.mtime.toISOString(),
-          sizeKB: (stats.size / 1024).toFixed(2)
-        };
+          name: manifest.modelName || f.replace('.json', ''),
+          language: manifest.language || 'unknown',
+          totalChunks: manifest.stats?.totalChunks || 0,
+          avgChunkLength: manifest.stats?.avgChunkLength || 0,
+          embeddingModel: manifest.embeddingModel,
+          dimensions: manifest.dimensions,
+          vectorEncoding: manifest.vectorEncoding,
+          embeddingCompatible: compatible,   // false = loading is refused
+          embeddingWarning: warning,
+          createdAt: manifest.createdAt || fs.statSync(filePath).mtime.toISOString(),
+          sizeKB: (knowledgeBaseSize(filePath) / 1024).toFixed(2)
+        }];
       });
 
-    res.json({ models: files });
+    res.json({ models: files, embeddingDeployment: embeddingDeployment });
   } catch (error) {
     console.error('[API] Error listing RAG knowledge bases:', error);
     res.status(500).json({ error: 'Failed to list knowledge bases' });
@@ -269,20 +630,11 @@ app.get('/api/rag-knowledge', (req, res) => {
 });
 
 // Load RAG knowledge base
-app.post('/api/rag-knowledge/load', async (req, res) => {
-  try {
-    const { filename } = req.body;
-
-    if (!filename) {
-      return res.status(400).json({ error: 'Missing filename' });
-    }
-
-    const ragPath = path.join(__dirname, '../rag-knowledge', filename);
-
-    if (!fs.existsSync(ragPath)) {
-      return res.status(404).json({ error: 'Knowledge base not found' });
-    }
+app.post('/api/rag-knowledge/load', requireSession, validateRequest({ body: MANIFEST_PARAM }), async (req, res) => {
+  const { ragPredictor } = res.locals.session;
+  const { filename: ragPath } = res.locals.input;
 
+  try {
     const success = await ragPredictor.loadKnowledgeBase(ragPath);
 
     if (success) {
@@ -290,23 +642,304 @@ app.post('/api/rag-knowledge/load', async (req, res) => {
         success: true,
         model: ragPredictor.getModelInfo()
       });
+    } else if (ragPredictor.loadError) {
+      res.status(409).json({ success: false, error: 'Knowledge base cannot be loaded', message: ragPredictor.loadError });
     } else {
-      res.status(500).json({ error: 'Failed to load knowledge base' });
+      res.status(500).json({ success: false, error: 'Failed to load knowledge base' });
     }
   } catch (error) {
     console.error('[API] Error loading RAG knowledge base:', error);
-    res.status(500).json({ error: 'Failed to load knowledge base' });
+    res.status(500).json({ success: false, error: 'Failed to load knowledge base', message: error.message });
   }
 });
 
 // Get current RAG knowledge base info
-app.get('/api/rag-knowledge/current', (req, res) => {
-  res.json(ragPredictor.getModelInfo());
+app.get('/api/rag-knowledge/current', requireSession, (req, res) => {
+  res.json(res.locals.session.ragPredictor.getModelInfo());
 });
 
 // Unload RAG knowledge base
-app.post('/api/rag-knowledge/unload', (req, res) => {
-  ragPredictor.unload();
+app.post('/api/rag-knowledge/unload', requireSession, (req, res) => {
+  res.locals.session.ragPredictor.unload();
+  res.json({ success: true });
+});
+
+/**
+ * Forget the inspection state of a knowledge base (deleted or renamed)
+ */
+function closeInspection(ragPath) {
+  if (inspectedChunks?.ragPath === ragPath) {
+    inspectedChunks = null;
+  }
+  if (inspectedPredictor?.ragPath === ragPath) {
+    inspectedPredictor.predictor.unload();
+    inspectedPredictor = null;
+  }
+}
+
+/**
+ * Chunks of a knowledge base for paging, read once per build
+ */
+function inspectionChunks(ragPath) {
+  const mtimeMs = fs.statSync(ragPath).mtimeMs;
+  if (inspectedChunks?.ragPath !== ragPath || inspectedChunks.mtimeMs !== mtimeMs) {
+    const { manifest, chunks, failedChunks } = readChunks(ragPath);
+    inspectedChunks = { ragPath, mtimeMs, manifest, chunks, failedChunks };
+  }
+  return inspectedChunks;
+}
+
+/**
+ * Predictor with a knowledge base loaded for test queries, loaded once per build
+ * @returns {Promise<RAGPredictor>}
+ * @throws {Error} - With the reason the knowledge base cannot be loaded
+ */
+async function inspectionPredictor(ragPath) {
+  const mtimeMs = fs.statSync(ragPath).mtimeMs;
+  if (inspectedPredictor?.ragPath !== ragPath || inspectedPredictor.mtimeMs !== mtimeMs) {
+    inspectedPredictor?.predictor.unload();
+    const predictor = new RAGPredictor();
+    inspectedPredictor = { ragPath, mtimeMs, predictor, loaded: predictor.loadKnowledgeBase(ragPath) };
+  }
+
+  const { predictor, loaded } = inspectedPredictor;
+  if (!(await loaded)) {
+    if (inspectedPredictor?.predictor === predictor) {
+      inspectedPredictor = null;
+    }
+    throw new Error(predictor.loadError || 'Failed to load knowledge base');
+  }
+  return predictor;
+}
+
+// Page through a knowledge base's chunks (optionally of one source file)
+const CHUNKS_REQUEST = {
+  params: MANIFEST_PARAM,
+  query: {
+    offset: { type: 'integer', default: 0, min: 0 },
+    limit: { type: 'integer', default: 20, min: 1, max: 100 },
+    source: { type: 'string', maxLength: 1000 }
+  }
+};
+
+app.get('/api/rag-knowledge/:filename/chunks', validateRequest(CHUNKS_REQUEST), (req, res) => {
+  const { filename: ragPath, offset, limit, source } = res.locals.input;
+
+  try {
+    const { manifest, chunks, failedChunks } = inspectionChunks(ragPath);
+
+    const matching = chunks
+      .map((chunk, index) => ({ index, ...chunk }))
+      .filter(chunk => !source || chunk.source === source);
+
+    // Source files with their chunk counts (from the build records, or counted)
+    const sources = manifest.files
+      ? Object.entries(manifest.files).map(([file, record]) => ({ file, chunks: record.chunks, failedChunks: record.failedChunks || 0 }))
+      : [...new Set(chunks.map(chunk => chunk.source).filter(Boolean))].map(file => ({
+        file,
+        chunks: chunks.filter(chunk => chunk.source === file).length,
+        failedChunks: 0
+      }));
+
+    res.json({
+      success: true,
+      modelName: manifest.modelName,
+      totalChunks: chunks.length,
+      failedChunks: failedChunks.length,
+      sources: sources,
+      source: source,
+      total: matching.length,
+      offset: offset,
+      limit: limit,
+      chunks: matching.slice(offset, offset + limit)
+    });
+  } catch (error) {
+    console.error('[API] Error reading knowledge base chunks:', error);
+    res.status(500).json({ success: false, error: 'Failed to read knowledge base', message: error.message });
+  }
+});
+
+// Run a test query: the top-k chunks with their combined, vector and keyword scores
+const QUERY_REQUEST = {
+  params: MANIFEST_PARAM,
+  body: {
+    query: { type: 'string', required: true, maxLength: 2000 },
+    topK: { type: 'integer', default: 5, min: 1, max: 50 }
+  }
+};
+
+app.post('/api/rag-knowledge/:filename/query', validateRequest(QUERY_REQUEST), async (req, res) => {
+  const { filename: ragPath, query, topK } = res.locals.input;
+
+  let predictor;
+  try {
+    predictor = await inspectionPredictor(ragPath);
+  } catch (error) {
+    return res.status(409).json({ success: false, error: 'Knowledge base cannot be queried', message: error.message });
+  }
+
+  try {
+    const result = await predictor.testQuery(query, topK);
+    res.json({ success: true, query: query, topK: topK, ...result });
+  } catch (error) {
+    console.error('[API] Error running test query:', error);
+    res.status(502).json({ success: false, error: 'Test query failed', message: error.message });
+  }
+});
+
+// Rename a knowledge base
+const RENAME_REQUEST = {
+  params: MANIFEST_PARAM,
+  body: {
+    name: { type: 'string', required: true, check: knowledgeBaseName }
+  }
+};
+
+app.patch('/api/rag-knowledge/:filename', validateRequest(RENAME_REQUEST), (req, res) => {
+  const { filename: ragPath, name } = res.locals.input;
+
+  const newPath = path.join(path.dirname(ragPath), `${name}.json`);
+  if (newPath === ragPath) {
+    return res.json({ success: true, filename: path.basename(ragPath) });
+  }
+
+  try {
+    const oldName = readManifest(ragPath).modelName;
+    const running = buildJobs.findRunning(oldName) || buildJobs.findRunning(name);
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: 'Build running',
+        message: `Knowledge base "${running.modelName}" is being built`,
+        jobId: running.id
+      });
+    }
+    if (fs.existsSync(newPath)) {
+      return res.status(409).json({ success: false, error: 'Name already in use', message: `Knowledge base "${name}" already exists` });
+    }
+
+    closeInspection(ragPath);
+    renameKnowledgeBase(ragPath, newPath);
+
+    // Sessions that loaded it keep their copy under the new name
+    for (const session of sessions.values()) {
+      if (session.ragPredictor.knowledgeBasePath === ragPath) {
+        session.ragPredictor.knowledgeBasePath = newPath;
+        session.ragPredictor.modelName = name;
+      }
+    }
+
+    console.log(`[API] Renamed knowledge base ${oldName} -> ${name}`);
+    res.json({ success: true, filename: path.basename(newPath) });
+  } catch (error) {
+    console.error('[API] Error renaming knowledge base:', error);
+    res.status(500).json({ success: false, error: 'Failed to rename knowledge base', message: error.message });
+  }
+});
+
+// Delete a knowledge base (with the checkpoint of an unfinished build)
+app.delete('/api/rag-knowledge/:filename', validateRequest({ params: MANIFEST_PARAM }), (req, res) => {
+  const { filename: ragPath } = res.locals.input;
+
+  try {
+    let modelName = path.basename(ragPath, '.json');
+    try {
+      modelName = readManifest(ragPath).modelName || modelName;
+    } catch (error) {
+      console.warn(`[API] Deleting unreadable knowledge base ${path.basename(ragPath)}: ${error.message}`);
+    }
+
+    const running = buildJobs.findRunning(modelName);
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: 'Build running',
+        message: `Knowledge base "${modelName}" is being built, cancel the build first`,
+        jobId: running.id
+      });
+    }
+
+    closeInspection(ragPath);
+    removeKnowledgeBase(ragPath);
+
+    // Sessions predicting with it stop using it
+    for (const session of sessions.values()) {
+      if (session.ragPredictor.knowledgeBasePath === ragPath) {
+        session.ragPredictor.unload();
+      }
+    }
+
+    console.log(`[API] Deleted knowledge base ${modelName}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[API] Error deleting knowledge base:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete knowledge base', message: error.message });
+  }
+});
+
+// Build (or reuse) an offline n-gram model from a knowledge folder and attach it to the session
+const NGRAM_REQUEST = {
+  body: {
+    knowledgeFolder: { type: 'string', required: true, check: knowledgeFolderPath },
+    language: { type: 'string', default: 'ja', values: LANGUAGES },
+    mode: { type: 'string', default: 'hybrid', values: NGRAM_MODES }
+  }
+};
+
+app.post('/api/ngram/load', requireSession, validateRequest(NGRAM_REQUEST), async (req, res) => {
+  const session = res.locals.session;
+  const { knowledgeFolder: folderPath, language, mode } = res.locals.input;
+
+  try {
+
+    // Models are read-only, so sessions using the same folder share one instance
+    const cacheKey = `${folderPath}:${language}`;
+    if (!ngramModels.has(cacheKey)) {
+      ngramModels.set(cacheKey, NgramPredictor.fromFolder(folderPath, language));
+    }
+
+    let predictor;
+    try {
+      predictor = await ngramModels.get(cacheKey);
+    } catch (error) {
+      ngramModels.delete(cacheKey);
+      throw error;
+    }
+
+    if (!predictor.modelLoaded) {
+      ngramModels.delete(cacheKey);
+      return res.status(400).json({ success: false, error: 'No text data found in knowledge folder' });
+    }
+
+    session.ngramPredictor = predictor;
+    session.predictionMode = mode;
+    console.log(`[N-gram] Session ${session.id} using "${predictor.modelName}" in ${mode} mode`);
+
+    res.json({
+      success: true,
+      mode: mode,
+      model: predictor.getModelInfo()
+    });
+  } catch (error) {
+    console.error('[API] Error loading n-gram model:', error);
+    res.status(500).json({ success: false, error: 'Failed to build n-gram model', message: error.message });
+  }
+});
+
+// Get current n-gram model info
+app.get('/api/ngram/current', requireSession, (req, res) => {
+  const session = res.locals.session;
+  res.json({
+    mode: session.predictionMode,
+    model: session.ngramPredictor ? session.ngramPredictor.getModelInfo() : { loaded: false, type: 'ngram' }
+  });
+});
+
+// Detach the n-gram model from the session (back to LLM-only prediction)
+app.post('/api/ngram/unload', requireSession, (req, res) => {
+  const session = res.locals.session;
+  session.ngramPredictor = null;
+  session.predictionMode = 'llm';
   res.json({ success: true });
 });
 
@@ -334,85 +967,174 @@ app.get('/api/knowledge-folders', (req, res) => {
   }
 });
 
-// Build new RAG knowledge base from documents
-app.post('/api/rag-knowledge/build', async (req, res) => {
-  try {
-    const { knowledgeFolder, modelName, language, chunkSize = 500, chunkOverlap = 50 } = req.body;
-
-    if (!knowledgeFolder || !modelName || !language) {
-      return res.status(400).json({ error: 'Missing required parameters' });
+// Upload documents into a knowledge-data folder (created if needed, files with the same
+// name are replaced) and build the folder's knowledge base like /api/rag-knowledge/build.
+// multipart/form-data: files (repeated), folder, language and the optional build settings
+app.post('/api/knowledge-folders/upload', (req, res) => {
+  knowledgeUpload.array('files')(req, res, (uploadError) => {
+    const files = req.files || [];
+    const cleanUp = () => files.forEach(file => fs.rmSync(file.path, { force: true }));
+
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE' || uploadError.code === 'LIMIT_FILE_COUNT';
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${UPLOAD_MAX_FILE_MB} MB`
+        : uploadError.code === 'LIMIT_FILE_COUNT'
+          ? `At most ${UPLOAD_MAX_FILES} files can be uploaded at once`
+          : uploadError.message;
+      return res.status(tooLarge ? 413 : 400).json({ success: false, error: 'Upload rejected', message: message });
     }
 
-    console.log('[API] Building RAG knowledge base:', { knowledgeFolder, modelName, language });
+    try {
+      const { folder, ...settings } = parseRequest(UPLOAD_REQUEST, req);
+      if (files.length === 0) {
+        throw new ValidationError('Missing files', { field: 'files' });
+      }
 
-    const { spawn } = await import('child_process');
-    const buildProcess = spawn('node', [
-      path.join(__dirname, 'buildRAG.js'),
-      knowledgeFolder,
-      modelName,
-      language,
-      chunkSize.toString(),
-      chunkOverlap.toString()
-    ], {
-      cwd: path.join(__dirname, '..')
-    });
+      const invalid = files
+        .map(file => file.originalname)
+        .filter(name => {
+          try {
+            validateName(name, 'files', 255);
+          } catch {
+            return true;
+          }
+          return !SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase());
+        });
+      if (invalid.length > 0) {
+        cleanUp();
+        return res.status(415).json({
+          success: false,
+          error: 'Unsupported files',
+          message: `Unsupported file type or name: ${invalid.join(', ')} (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`,
+          files: invalid
+        });
+      }
 
-    let output = '';
-    let errorOutput = '';
+      // Builds read the folder, so it must not change under a running build (of this
+      // knowledge base, or of one built from the same folder under another name)
+      const running = buildJobs.findRunning(folder) || buildJobs.findReading(`knowledge-data/${folder}`);
+      if (running) {
+        cleanUp();
+        return res.status(409).json({
+          success: false,
+          error: 'Build already running',
+          message: running.modelName === folder
+            ? `Knowledge base "${folder}" is already being built`
+            : `knowledge-data/${folder} is being read by the build of "${running.modelName}"`,
+          jobId: running.id
+        });
+      }
 
-    buildProcess.stdout.on('data', (data) => {
-      output += data.toString();
-      console.log(`[BuildRAG] ${data.toString().trim()}`);
-    });
+      const folderPath = resolveInside(KNOWLEDGE_DATA_DIR, folder, 'folder');
+      fs.mkdirSync(folderPath, { recursive: true });
 
-    buildProcess.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-      console.error(`[BuildRAG Error] ${data.toString().trim()}`);
-    });
+      const uploaded = files.map(file => {
+        const destination = resolveInside(folderPath, file.originalname, 'files');
+        const replaced = fs.existsSync(destination);
+        // Copied rather than renamed, the temporary folder may be on another device
+        fs.copyFileSync(file.path, destination);
+        return { file: file.originalname, size: file.size, replaced: replaced };
+      });
+      cleanUp();
 
-    buildProcess.on('close', (code) => {
-      if (code === 0) {
-        console.log('[API] RAG knowledge base built successfully');
-        res.json({
-          success: true,
-          message: 'Knowledge base built successfully',
-          output: output
-        });
-      } else {
-        console.error('[API] RAG knowledge base build failed with code:', code);
-        res.status(500).json({
-          error: 'Knowledge base build failed',
-          message: errorOutput || output,
-          exitCode: code
-        });
+      console.log(`[API] Uploaded ${uploaded.length} files to knowledge-data/${folder}`);
+
+      const job = buildJobs.start({ knowledgeFolder: `knowledge-data/${folder}`, modelName: folder, ...settings });
+      res.status(202).json({ success: true, folder: `knowledge-data/${folder}`, uploaded: uploaded, jobId: job.id, job: job });
+    } catch (error) {
+      cleanUp();
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
       }
-    });
+      console.error('[API] Error uploading knowledge data:', error);
+      res.status(500).json({ success: false, error: 'Failed to upload knowledge data', message: error.message });
+    }
+  });
+});
 
-    buildProcess.on('error', (error) => {
-      console.error('[API] Error spawning build process:', error);
-      res.status(500).json({
-        error: 'Failed to start build process',
-        message: error.message
+// Build new RAG knowledge base from documents (in the background, progress is pushed
+// to WebSocket clients as 'build_progress' messages)
+app.post('/api/rag-knowledge/build', validateRequest(BUILD_REQUEST), (req, res) => {
+  try {
+    const { knowledgeFolder: folderPath, modelName, ...settings } = res.locals.input;
+
+    const running = buildJobs.findRunning(modelName);
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: 'Build already running',
+        message: `Knowledge base "${modelName}" is already being built`,
+        jobId: running.id
       });
-    });
+    }
 
+    // The build resolves the folder against the project root
+    const knowledgeFolder = `knowledge-data/${path.basename(folderPath)}`;
+    const job = buildJobs.start({ knowledgeFolder, modelName, ...settings });
+    res.status(202).json({ success: true, jobId: job.id, job: job });
   } catch (error) {
     console.error('[API] Error building knowledge base:', error);
-    res.status(500).json({ error: 'Failed to build knowledge base', message: error.message });
+    res.status(500).json({ success: false, error: 'Failed to build knowledge base', message: error.message });
+  }
+});
+
+// List build jobs (newest first)
+app.get('/api/rag-knowledge/jobs', (req, res) => {
+  res.json({ jobs: buildJobs.list() });
+});
+
+// Build job status with its recent output
+app.get('/api/rag-knowledge/jobs/:id', (req, res) => {
+  const job = buildJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
   }
+  res.json({ job });
+});
+
+// Cancel a running build
+app.post('/api/rag-knowledge/jobs/:id/cancel', (req, res) => {
+  const job = buildJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (!buildJobs.cancel(job.id)) {
+    return res.status(409).json({ success: false, error: 'Job is not running', message: `Job is ${job.status}` });
+  }
+  res.json({ success: true, job: buildJobs.get(job.id) });
+});
+
+// Resume a cancelled or failed build (embeddings it already created are reused)
+app.post('/api/rag-knowledge/jobs/:id/resume', (req, res) => {
+  const job = buildJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.status !== 'cancelled' && job.status !== 'failed') {
+    return res.status(409).json({ success: false, error: 'Job cannot be resumed', message: `Job is ${job.status}` });
+  }
+  if (buildJobs.findRunning(job.modelName)) {
+    return res.status(409).json({ success: false, error: 'Build already running', message: `Knowledge base "${job.modelName}" is already being built` });
+  }
+
+  const resumed = buildJobs.resume(job.id);
+  res.status(202).json({ success: true, jobId: resumed.id, job: resumed });
 });
 
 // WebSocket connection handler
 wss.on('connection', (ws) => {
-  const sessionId = Date.now().toString();
-  sessions.set(sessionId, {
-    ws: ws,
-    isActive: false,
-    transcript: ''
-  });
+  const sessionId = randomUUID();
+  sessions.set(sessionId, new Session(sessionId, ws, ttsHealthMonitor));
 
   console.log(`[WebSocket] Client connected. Session: ${sessionId}`);
 
+  // Tell the client its session ID so REST calls can be tied to this connection
+  ws.send(JSON.stringify({
+    type: 'session',
+    sessionId: sessionId
+  }));
+
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message.toString());
@@ -440,9 +1162,8 @@ wss.on('connection', (ws) => {
           break;
 
         case 'set_tts_provider':
-          if (ttsProviders[data.provider]) {
-            activeTTSProvider = ttsProviders[data.provider];
-            console.log(`[WebSocket] TTS provider switched to: ${data.provider}`);
+          if (session.setTTSProvider(data.provider)) {
+            console.log(`[WebSocket] Session ${sessionId} TTS provider switched to: ${data.provider}`);
 
             // Notify client of switch
             ws.send(JSON.stringify({
@@ -456,6 +1177,9 @@ wss.on('connection', (ws) => {
 
         case 'start':
           session.isActive = true;
+          if (TTS_STREAMING) {
+            session.warmUpTTS();
+          }
           const sessionConfig = sessionLanguages.get(sessionId) || {};
           ws.send(JSON.stringify({
             type: 'started',
@@ -466,6 +1190,7 @@ wss.on('connection', (ws) => {
 
         case 'stop':
           session.isActive = false;
+          session.cancelPrediction('stopped');
           ws.send(JSON.stringify({ type: 'stopped' }));
           console.log(`[WebSocket] Session ${sessionId} stopped`);
 
@@ -503,7 +1228,7 @@ wss.on('connection', (ws) => {
 
               // Also handle prediction
               if (transcript && transcript.trim().length > 0) {
-                await handleTranscript(sessionId, transcript);
+                await handleTranscript(sessionId, transcript, { isFinal: true });
               }
             };
 
@@ -552,8 +1277,17 @@ wss.on('connection', (ws) => {
           break;
 
         case 'transcript':
-          await handleTranscript(sessionId, data.text);
+          await handleTranscript(sessionId, data.text, { isFinal: data.isFinal === true });
+          break;
+
+        case 'speech_pause': {
+          // Final ASR result for the interim text that was already predicted
+          const speculation = sessions.get(sessionId)?.speculation;
+          if (speculation && typeof data.text === 'string' && speculation.covers(data.text)) {
+            speculation.confirm(data.text);
+          }
           break;
+        }
 
         case 'audio_gpt4o':
           // Handle audio data from GPT-4o Transcribe mode
@@ -575,7 +1309,7 @@ wss.on('connection', (ws) => {
                   text: transcript
                 }));
 
-                await handleTranscript(sessionId, transcript);
+                await handleTranscript(sessionId, transcript, { isFinal: true });
               } else {
                 console.log('[GPT-4o Transcribe] Empty transcript, skipping');
               }
@@ -609,6 +1343,7 @@ wss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
+    sessions.get(sessionId)?.dispose();
     sessions.delete(sessionId);
     sessionLanguages.delete(sessionId);
     console.log(`[WebSocket] Client disconnected. Session: ${sessionId}`);
@@ -617,9 +1352,11 @@ wss.on('connection', (ws) => {
 
 /**
  * Handle incoming transcript and generate prediction + TTS
+ * @param {Object} options - { isFinal: true } if the ASR marked the speaker's pause
  */
-async function handleTranscript(sessionId, text) {
+async function handleTranscript(sessionId, text, { isFinal = false } = {}) {
   const session = sessions.get(sessionId);
+  const receivedAt = Date.now();
 
   if (!session || !session.isActive) {
     return;
@@ -628,6 +1365,7 @@ async function handleTranscript(sessionId, text) {
   const ws = session.ws;
   const sessionConfig = sessionLanguages.get(sessionId) || {};
   const language = sessionConfig.language || 'ja';
+  let request = null;
 
   try {
     // Skip prediction if text is empty or only whitespace
@@ -636,8 +1374,25 @@ async function handleTranscript(sessionId, text) {
       return;
     }
 
+    // The same text again (typically its final ASR result) keeps the pending speculation
+    // instead of starting over. Any added text supersedes it with a new prediction
+    if (session.speculation?.covers(text)) {
+      if (isFinal) {
+        session.speculation.confirm(text);
+      } else {
+        session.speculation.update(text);
+      }
+      return;
+    }
+
     console.log(`[Prediction] Input: "${text}" (language: ${language})`);
 
+    const { azurePredictor, ragPredictor } = session;
+
+    // A newer transcript supersedes this one: its LLM and TTS calls are aborted
+    // and results that miss the deadline are dropped
+    request = session.beginPrediction(PREDICTION_DEADLINE_MS);
+
     // Update session transcript
     session.transcript += ' ' + text;
 
@@ -662,18 +1417,54 @@ async function handleTranscript(sessionId, text) {
     azurePredictor.addToHistory(text);
 
     // Prediction strategy:
+    // 0. If an n-gram model is loaded: local prediction first
+    //    - 'ngram' mode: use it alone (no LLM call)
+    //    - 'hybrid' mode: send it as a quick provisional guess, then continue with the LLM
     // 1. If RAG loaded: Use LLM with knowledge context (RAG)
     // 2. If RAG not loaded: Use pure LLM
     let predictedWord = null;
     let predictionSource = null;
     let confidence = 0;
+    let candidates = [];
+    let sources = [];  // Knowledge chunks behind a RAG prediction
+
+    const { ngramPredictor, predictionMode } = session;
+    let ngramResult = null;
+
+    if (ngramPredictor && predictionMode !== 'llm') {
+      const ngramStartTime = Date.now();
+      ngramResult = ngramPredictor.predict(text);
+      console.log(`[Prediction] N-gram took ${Date.now() - ngramStartTime}ms: "${ngramResult.word || ''}"`);
+
+      if (ngramResult.word && predictionMode === 'ngram') {
+        predictedWord = ngramResult.word;
+        predictionSource = 'ngram';
+        confidence = ngramResult.confidence;
+        candidates = ngramResult.candidates;
+      } else if (ngramResult.word) {
+        ws.send(JSON.stringify({
+          type: 'prediction',
+          word: ngramResult.word,
+          input: text,
+          source: 'ngram',
+          confidence: ngramResult.confidence,
+          candidates: ngramResult.candidates,
+          provisional: true  // LLM result for the same input will follow
+        }));
+      }
+    }
+
+    if (!predictedWord && predictionMode === 'ngram') {
+      console.log('[Prediction] No n-gram prediction available');
+      return;
+    }
 
     const llmStartTime = Date.now();
     let llmResult = null;
 
     // Use RAG (LLM + knowledge) if available
-    if (ragPredictor.modelLoaded) {
-      llmResult = await ragPredictor.predict(text, azurePredictor.getHistory(), language);
+    if (!predictedWord && ragPredictor.modelLoaded) {
+      llmResult = await ragPredictor.predict(text, azurePredictor.getHistory(), language, { signal: request.signal });
       const ragLatency = Date.now() - llmStartTime;
 
       if (llmResult && llmResult.word) {
@@ -682,25 +1473,53 @@ async function handleTranscript(sessionId, text) {
         predictedWord = llmResult.word;
         predictionSource = 'rag';
         confidence = llmResult.confidence;
+        candidates = llmResult.candidates;
+        sources = llmResult.sources.map(chunk => ({
+          source: chunk.source,
+          page: chunk.page,
+          section: chunk.section,
+          start: chunk.start,
+          end: chunk.end,
+          similarity: chunk.score,
+          text: chunk.text
+        }));
       }
     }
 
+    if (request.isStale()) {
+      logStalePrediction(request, 'RAG');
+      return;
+    }
+
     // Fallback to pure LLM if RAG not loaded or failed
     if (!predictedWord) {
-      llmResult = await azurePredictor.predict(text, azurePredictor.getHistory(), language);
+      llmResult = await azurePredictor.predict(text, azurePredictor.getHistory(), language, { signal: request.signal });
       const llmLatency = Date.now() - llmStartTime;
 
       console.log(`[Prediction] Pure LLM took ${llmLatency}ms`);
 
-      if (!llmResult.word) {
-        console.log('[Prediction] No prediction available');
+      if (request.isStale()) {
+        logStalePrediction(request, 'LLM');
         return;
       }
 
-      predictedWord = llmResult.word;
-      predictionSource = 'gpt-4.1-mini';
-      confidence = llmResult.confidence;
-      console.log(`[Prediction] Pure LLM prediction: "${predictedWord}"`);
+      if (llmResult.word) {
+        predictedWord = llmResult.word;
+        predictionSource = 'gpt-4.1-mini';
+        confidence = llmResult.confidence;
+        candidates = llmResult.candidates;
+        console.log(`[Prediction] Pure LLM prediction: "${predictedWord}"`);
+      } else if (ngramResult?.word) {
+        // Hybrid mode: keep the n-gram guess when the LLM has nothing
+        predictedWord = ngramResult.word;
+        predictionSource = 'ngram';
+        confidence = ngramResult.confidence;
+        candidates = ngramResult.candidates;
+        console.log(`[Prediction] LLM returned nothing, using n-gram prediction: "${predictedWord}"`);
+      } else {
+        console.log('[Prediction] No prediction available');
+        return;
+      }
     }
 
     // Send prediction to client immediately (don't wait for TTS)
@@ -709,30 +1528,117 @@ async function handleTranscript(sessionId, text) {
       word: predictedWord,
       input: text,  // Include input text for context
       source: predictionSource,
-      confidence: confidence
+      confidence: confidence,
+      candidates: candidates,  // Ranked alternatives [{word, score}], best first
+      sources: sources         // [{source, page, section, start, end, similarity, text}] for RAG
     }));
 
+    // The speaker may still be talking: synthesize the top candidates while waiting
+    // for the pause, then play the one that fits
+    if (!isFinal && SPECULATION_CANDIDATES > 1 && candidates.length > 1) {
+      await playSpeculativeAudio(session, request, text, candidates, language, receivedAt);
+      return;
+    }
+
     // Generate TTS for predicted word
     console.log(`[TTS] Synthesizing: "${predictedWord}"`);
     const ttsStartTime = Date.now();
 
-    const audioBuffer = await activeTTSProvider.synthesize(predictedWord, null, language);
+    // Repeated predictions are served from the cache without calling the provider
+    const { activeTTSProvider } = session;
+    const cached = ttsCache.get(TTSCache.key(activeTTSProvider.getProviderName(), activeTTSProvider.getVoiceId(), language, predictedWord));
+
+    if (cached) {
+      ws.send(JSON.stringify({
+        type: 'audio',
+        word: predictedWord,
+        audio: cached.audio.toString('base64'),
+        format: cached.format,
+        sampleRate: cached.sampleRate,
+        provider: activeTTSProvider.getProviderName(),
+        cached: true
+      }));
+
+      console.log(`[TTS] Cache hit for "${predictedWord}" (${Date.now() - ttsStartTime}ms)`);
+      return;
+    }
+
+    // The router tries the session's provider first and falls back to the others
+    // when it fails or is too slow. Streaming providers forward PCM chunks as they
+    // arrive, the client schedules them back to back
+    let chunkIndex = 0;
+    const streamedChunks = [];
+
+    const ttsResult = await session.ttsRouter.synthesize(predictedWord, language, {
+      signal: request.signal,
+      stream: TTS_STREAMING,
+      onChunk: (pcm, provider, sampleRate) => {
+        streamedChunks.push(pcm);
+        if (request.isStale()) return;
+
+        if (chunkIndex === 0) {
+          console.log(`[TTS] First audio chunk from ${provider} after ${Date.now() - ttsStartTime}ms`);
+        }
+
+        ws.send(JSON.stringify({
+          type: 'audio_chunk',
+          word: predictedWord,
+          streamId: request.seq,
+          index: chunkIndex++,
+          audio: pcm.toString('base64'),
+          format: 'pcm_s16le',
+          sampleRate: sampleRate,
+          provider: provider
+        }));
+      }
+    });
 
     const ttsLatency = Date.now() - ttsStartTime;
-    console.log(`[TTS] Synthesis took ${ttsLatency}ms`);
+    console.log(`[TTS] ${ttsResult.provider}${ttsResult.fallback ? ' (fallback)' : ''} synthesis took ${ttsLatency}ms`);
 
-    // Send audio to client
-    ws.send(JSON.stringify({
-      type: 'audio',
-      word: predictedWord,
-      audio: audioBuffer.toString('base64'),
-      format: 'pcm_s16le',
-      sampleRate: 22050
-    }));
+    // Cache the complete clip under the voice that actually produced it (as synthesizeClip does)
+    const producer = session.ttsProviders[ttsResult.provider];
+    const voiceId = ttsResult.voiceId ?? producer.getVoiceId();
+    ttsCache.set(TTSCache.key(ttsResult.provider, voiceId, language, predictedWord), ttsResult.streamed
+      ? { audio: Buffer.concat(streamedChunks), sampleRate: producer.sampleRate, format: 'pcm_s16le' }
+      : ttsResult);
+
+    if (request.isStale()) {
+      logStalePrediction(request, 'TTS');
+      return;
+    }
+
+    if (ttsResult.streamed) {
+      ws.send(JSON.stringify({
+        type: 'audio_end',
+        word: predictedWord,
+        streamId: request.seq,
+        chunks: chunkIndex,
+        provider: ttsResult.provider,
+        fallback: ttsResult.fallback
+      }));
+    } else {
+      // Send audio to client
+      ws.send(JSON.stringify({
+        type: 'audio',
+        word: predictedWord,
+        audio: ttsResult.audio.toString('base64'),
+        format: ttsResult.format,
+        sampleRate: ttsResult.sampleRate,  // Actual rate of the provider's output
+        provider: ttsResult.provider,      // Provider that produced this audio
+        fallback: ttsResult.fallback       // True if the session's provider failed
+      }));
+    }
 
     console.log(`[TTS] Audio sent for word: "${predictedWord}"`);
 
   } catch (error) {
+    // Cancelled by a newer transcript or the deadline: nothing to report
+    if (request?.signal.aborted) {
+      logStalePrediction(request, 'cancellation');
+      return;
+    }
+
     console.error('[Prediction] Error:', error);
     // Don't send WebSocket connection errors to client
     if (!error.message.includes('Not connected to WebSocket')) {
@@ -741,14 +1647,100 @@ async function handleTranscript(sessionId, text) {
         message: error.message
       }));
     }
+  } finally {
+    request?.finish();
   }
 }
 
+/**
+ * Pre-synthesize the top candidates in parallel, wait for the speaker's pause and
+ * send the best clip that is ready
+ */
+async function playSpeculativeAudio(session, request, text, candidates, language, receivedAt) {
+  const speculation = new Speculation({
+    input: text,
+    candidates: candidates.slice(0, SPECULATION_CANDIDATES),
+    pauseMs: SPECULATION_PAUSE_MS,
+    receivedAt: receivedAt,
+    signal: request.signal
+  });
+  session.speculation = speculation;
+
+  try {
+    const ttsStartTime = Date.now();
+    console.log(`[Speculation] Synthesizing ${speculation.candidates.length} candidates: ${speculation.candidates.map(c => `"${c.word}"`).join(', ')}`);
+
+    speculation.synthesizeAll(word => synthesizeClip(session, word, language, request.signal));
+
+    const pause = await speculation.waitForPause();
+    const pausedAt = Date.now();
+    const clip = await speculation.selectClip();
+
+    if (request.isStale()) {
+      logStalePrediction(request, 'speculative TTS');
+      return;
+    }
+
+    if (!clip) {
+      console.log(`[Speculation] No usable candidate audio for "${speculation.latestText}"`);
+      return;
+    }
+
+    // Time between the pause and the audio is the latency the speaker notices
+    console.log(`[Speculation] Pause confirmed by ${pause} after ${pausedAt - ttsStartTime}ms, "${clip.word}" ready ${Date.now() - pausedAt}ms later`);
+
+    session.send({
+      type: 'audio',
+      word: clip.word,
+      audio: clip.audio.toString('base64'),
+      format: clip.format,
+      sampleRate: clip.sampleRate,
+      provider: clip.provider,
+      fallback: clip.fallback,
+      cached: clip.cached,
+      speculative: true
+    });
+
+  } finally {
+    if (session.speculation === speculation) {
+      session.speculation = null;
+    }
+  }
+}
+
+/**
+ * Synthesize a whole clip through the cache and the provider router
+ * @returns {Promise<Object>} - { audio, sampleRate, format, provider, fallback, cached }
+ */
+async function synthesizeClip(session, word, language, signal) {
+  const { activeTTSProvider } = session;
+  const cached = ttsCache.get(TTSCache.key(activeTTSProvider.getProviderName(), activeTTSProvider.getVoiceId(), language, word));
+  if (cached) {
+    return { ...cached, provider: activeTTSProvider.getProviderName(), fallback: false, cached: true };
+  }
+
+  const result = await session.ttsRouter.synthesize(word, language, { signal });
+  const { audio, sampleRate, format } = result;
+  // Providers that share remote voice state (Qwen3) report the voice the audio was made in
+  const voiceId = result.voiceId ?? session.ttsProviders[result.provider].getVoiceId();
+  ttsCache.set(TTSCache.key(result.provider, voiceId, language, word), { audio, sampleRate, format });
+
+  return { audio, sampleRate, format, provider: result.provider, fallback: result.fallback, cached: false };
+}
+
+/**
+ * Log why a prediction result was dropped
+ */
+function logStalePrediction(request, stage) {
+  const reason = request.signal.aborted ? request.signal.reason : 'superseded';
+  console.log(`[Prediction] Dropping request #${request.seq} after ${stage} (${reason})`);
+}
+
 // Start server
 server.listen(PORT, () => {
   console.log(`\n🚀 PredictiveSpeaking Server running on http://localhost:${PORT}`);
   console.log(`📊 WebSocket server ready`);
-  console.log(`🎙️  Active TTS Provider: ${activeTTSProvider.getProviderName()}`);
+  console.log(`🎙️  Default TTS Provider: ${DEFAULT_TTS_PROVIDER}`);
   console.log(`🎤 ASR Provider: ${ASR_PROVIDER}`);
   console.log(`🎤 Cartesia API: ${process.env.CARTESIA_API_KEY ? 'Configured' : 'Missing'}`);
   console.log(`🤖 Azure OpenAI: ${process.env.AZURE_OPENAI_API_KEY ? 'Configured' : 'Missing'}`);
@@ -756,4 +1748,7 @@ server.listen(PORT, () => {
     console.log(`🐳 Whisper Service: ${process.env.WHISPER_SERVICE_URL || 'http://localhost:5000'}`);
   }
   console.log(`\n✨ Ready for voice cloning and prediction!\n`);
+
+  // Probe TTS providers now and then on a schedule
+  ttsHealthMonitor.start();
 });
@@ -0,0 +1,151 @@
+/**
+ * Per-connection pipeline state
+ * Each WebSocket session owns its own conversation history, RAG knowledge base and TTS voice
+ */
+
+import WebSocket from 'ws';
+import { AzurePredictor } from './azurePredictor.js';
+import { RAGPredictor } from './ragPredictor.js';
+import { CartesiaTTS } from './cartesiaTTS.js';
+import { Qwen3TTS } from './qwen3TTS.js';
+import { TTSRouter } from './ttsRouter.js';
+
+export const DEFAULT_TTS_PROVIDER = 'cartesia';
+
+export class Session {
+  /**
+   * @param {string} id - Session ID
+   * @param {WebSocket} ws - Client connection
+   * @param {TTSHealthMonitor} ttsHealthMonitor - Shared TTS provider health
+   */
+  constructor(id, ws, ttsHealthMonitor) {
+    this.id = id;
+    this.ws = ws;
+    this.isActive = false;
+    this.transcript = '';
+
+    // Prediction state (history and knowledge base are never shared between sessions)
+    this.azurePredictor = new AzurePredictor();
+    this.ragPredictor = new RAGPredictor();
+
+    // Optional offline n-gram model (shared, read-only) and how to combine it with the LLM:
+    // 'llm' (no n-gram), 'ngram' (n-gram only) or 'hybrid' (n-gram first guess, then LLM)
+    this.ngramPredictor = null;
+    this.predictionMode = 'llm';
+
+    // TTS providers hold the cloned voice, so every session gets its own instances
+    this.ttsProviders = {
+      cartesia: new CartesiaTTS(),
+      qwen3: new Qwen3TTS()
+    };
+    this.activeTTSProvider = this.ttsProviders[DEFAULT_TTS_PROVIDER];
+    // Falls back to the other providers when the active one fails or is too slow
+    this.ttsRouter = new TTSRouter(this, ttsHealthMonitor);
+
+    // In-flight prediction (only the newest transcript's request is allowed to finish)
+    this.predictionSeq = 0;
+    this.predictionController = null;
+
+    // Pre-synthesized candidates waiting for the speaker's pause (see speculativeSynthesis.js)
+    this.speculation = null;
+  }
+
+  /**
+   * Start a prediction request for a new transcript
+   * Aborts the previous in-flight request and arms a latency deadline for this one
+   * @param {number} deadlineMs - Results arriving later than this are dropped
+   * @returns {{seq: number, signal: AbortSignal, isStale: Function, finish: Function}}
+   */
+  beginPrediction(deadlineMs) {
+    this.cancelPrediction('superseded');
+
+    const controller = new AbortController();
+    const seq = ++this.predictionSeq;
+    const timer = setTimeout(() => controller.abort('deadline'), deadlineMs);
+    this.predictionController = controller;
+
+    return {
+      seq: seq,
+      signal: controller.signal,
+      // True once a newer transcript arrived or the deadline passed
+      isStale: () => controller.signal.aborted || seq !== this.predictionSeq,
+      finish: () => {
+        clearTimeout(timer);
+        if (this.predictionController === controller) {
+          this.predictionController = null;
+        }
+      }
+    };
+  }
+
+  /**
+   * Abort the in-flight prediction request, if any
+   * @param {string} reason - 'superseded', 'stopped', 'closed', ...
+   */
+  cancelPrediction(reason) {
+    if (this.predictionController) {
+      this.predictionController.abort(reason);
+      this.predictionController = null;
+    }
+  }
+
+  /**
+   * Switch the TTS provider used by this session
+   * @param {string} providerName - Key of this.ttsProviders ('cartesia' or 'qwen3')
+   * @returns {boolean} - False if the provider is unknown
+   */
+  setTTSProvider(providerName) {
+    if (!this.ttsProviders[providerName]) {
+      return false;
+    }
+
+    this.activeTTSProvider = this.ttsProviders[providerName];
+    return true;
+  }
+
+  /**
+   * Send a JSON message to the client if the socket is still open
+   */
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Clear conversation history and the cloned voices
+   * Every provider's voice goes, not only the active one's: the router may fall back to any of them
+   */
+  reset() {
+    this.azurePredictor.reset();
+    for (const provider of Object.values(this.ttsProviders)) {
+      provider.setVoiceId(null);
+    }
+    this.transcript = '';
+  }
+
+  /**
+   * Open the active TTS provider's streaming connection ahead of the first prediction
+   */
+  warmUpTTS() {
+    if (typeof this.activeTTSProvider.connectStream === 'function') {
+      this.activeTTSProvider.connectStream().catch(() => {
+        // Logged by the provider, synthesis will retry the connection
+      });
+    }
+  }
+
+  /**
+   * Release resources held by this session
+   */
+  dispose() {
+    this.cancelPrediction('closed');
+    this.ragPredictor.unload();
+
+    for (const provider of Object.values(this.ttsProviders)) {
+      if (typeof provider.close === 'function') {
+        provider.close();
+      }
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Speculative pre-synthesis
+ * Interim transcripts arrive while the speaker may still be talking. Instead of waiting
+ * for the pause and then synthesizing, the top prediction candidates are synthesized in
+ * parallel during the wait, and the best ranked clip is played once the pause is
+ * confirmed. If the speaker says more in the meantime, a new prediction replaces it
+ */
+
+/**
+ * Normalize a transcript for comparison (ASR revisions often only touch case,
+ * width, spacing and punctuation)
+ */
+export function normalizeTranscript(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s\p{P}]+/gu, '');
+}
+
+export class Speculation {
+  /**
+   * @param {Object} options
+   * @param {string} options.input - Transcript the candidates were predicted for
+   * @param {Array<{word: string, score: number}>} options.candidates - Ranked candidates, best first
+   * @param {number} options.pauseMs - Silence after the transcript that counts as a pause
+   * @param {number} options.receivedAt - When the transcript arrived (ms timestamp)
+   * @param {AbortSignal} options.signal - Aborted when a newer transcript supersedes this one
+   */
+  constructor({ input, candidates, pauseMs, receivedAt = Date.now(), signal }) {
+    this.input = input;
+    this.candidates = candidates;
+    this.latestText = input;
+    this.pauseMs = pauseMs;
+    this.clips = new Map(); // word -> Promise<clip|null>
+    this.silenceTimer = null;
+
+    // Settles on the first of: a final ASR result for the same text, pauseMs without
+    // a newer transcript, or the request being aborted
+    this.pause = new Promise((resolve, reject) => {
+      this.resolvePause = resolve;
+
+      signal.addEventListener('abort', () => {
+        clearTimeout(this.silenceTimer);
+        reject(new Error(`Speculation aborted (${signal.reason})`));
+      }, { once: true });
+    });
+    // Nobody may be waiting yet when the request is aborted
+    this.pause.catch(() => {});
+
+    this.waitForSilence(receivedAt);
+  }
+
+  /**
+   * (Re)start the pauseMs countdown from the last transcript's arrival
+   */
+  waitForSilence(receivedAt) {
+    clearTimeout(this.silenceTimer);
+    this.silenceTimer = setTimeout(() => this.resolvePause('silence'), Math.max(0, this.pauseMs - (Date.now() - receivedAt)));
+  }
+
+  /**
+   * Start synthesizing every candidate in parallel
+   * @param {Function} synthesizeFn - (word) => Promise<clip>
+   */
+  synthesizeAll(synthesizeFn) {
+    for (const { word } of this.candidates) {
+      this.clips.set(word, synthesizeFn(word).catch(error => {
+        console.warn(`[Speculation] Synthesis failed for "${word}": ${error.message}`);
+        return null;
+      }));
+    }
+  }
+
+  /**
+   * True if the clips still apply to text: it is the transcript this speculation was
+   * made for, up to case, width, spacing and punctuation. Anything the speaker added
+   * (even the start of a predicted word) changes what should follow, so it needs a new
+   * prediction
+   */
+  covers(text) {
+    return normalizeTranscript(text) === normalizeTranscript(this.input);
+  }
+
+  /**
+   * A newer interim transcript the speculation covers (a revision of the same text):
+   * the speaker added nothing, so the silence countdown keeps running
+   */
+  update(text) {
+    this.latestText = text;
+  }
+
+  /**
+   * The speaker paused: a final ASR result for a covered transcript arrived
+   */
+  confirm(text) {
+    this.latestText = text;
+    clearTimeout(this.silenceTimer);
+    this.resolvePause('final');
+  }
+
+  /**
+   * Wait until the pause is confirmed
+   * @returns {Promise<string>} - 'final' or 'silence'
+   */
+  waitForPause() {
+    return this.pause;
+  }
+
+  /**
+   * Pick the best clip
+   * Candidates are tried in rank order, so a lower ranked clip is only used when the
+   * better ones failed
+   * @returns {Promise<Object|null>} - { word, score, ...clip } or null
+   */
+  async selectClip() {
+    for (const candidate of this.candidates) {
+      if (normalizeTranscript(candidate.word).length === 0) continue;
+
+      const clip = await this.clips.get(candidate.word);
+      if (clip) {
+        return { ...candidate, ...clip };
+      }
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Sentence-aware text chunking for knowledge bases
+ * Splits text into chunks of at most chunkSize characters (or estimated model tokens) at
+ * sentence boundaries, preferring paragraph breaks. Japanese (。！？) and English (. ! ?)
+ * sentence ends are recognised in the same text, so mixed documents chunk correctly.
+ * Consecutive chunks repeat up to chunkOverlap of the preceding text, whole sentences
+ * where possible
+ */
+
+// Sentence ends: Japanese punctuation, or Latin punctuation followed by a space, a
+// Japanese character or the end of the text (so "3.14" and "Node.js" stay whole), with
+// any closing quotes or brackets. A line break also ends a sentence
+const SENTENCE_END = /[。！？]+[」』）】〕"'”’)\]]*|[.!?]+[)"'”’\]]*(?=\s|$|[\u3000-\u9fff\uff00-\uffef])|\n/g;
+
+// Words whose period does not end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'fig', 'eq', 'no', 'vol', 'pp', 'al']);
+
+// Characters after which an over-long sentence is preferably cut
+const SOFT_BREAK = /[、，,;；:：\s]/;
+
+// Kana, kanji and full-width forms, roughly one token each
+const CJK = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+// Characters of space-separated words ("Node.js", "3.14", URLs): an overlap does not
+// start inside a run of them
+const WORD_CHAR = /[^\s\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+// Punctuation and spaces an overlap does not start with
+const LEADING_JUNK = /[\s、。，,.;；:：!?！？）」』】〕)\]]/;
+
+export const CHUNK_UNITS = ['characters', 'tokens'];
+
+/**
+ * Estimated model token count of a text
+ * About one token per Japanese or Chinese character and four other characters per token,
+ * close enough for sizing chunks without shipping a tokenizer
+ */
+export function estimateTokens(text) {
+  let cjk = 0;
+  let other = 0;
+  for (const char of text) {
+    if (CJK.test(char)) {
+      cjk++;
+    } else {
+      other++;
+    }
+  }
+  return cjk + Math.ceil(other / 4);
+}
+
+export class TextChunker {
+  /**
+   * @param {Object} options
+   * @param {number} options.chunkSize - Maximum chunk size
+   * @param {number} options.chunkOverlap - Text repeated from the previous chunk, at most
+   * @param {string} options.unit - 'characters' or 'tokens' (estimated, see estimateTokens)
+   */
+  constructor({ chunkSize = 500, chunkOverlap = 50, unit = 'characters' } = {}) {
+    if (!CHUNK_UNITS.includes(unit)) {
+      throw new Error(`Chunk unit must be one of: ${CHUNK_UNITS.join(', ')}`);
+    }
+    if (!(chunkSize > 0) || !(chunkOverlap >= 0) || chunkOverlap >= chunkSize) {
+      throw new Error(`Invalid chunk settings: size ${chunkSize}, overlap ${chunkOverlap} (overlap must be smaller than size)`);
+    }
+
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.unit = unit;
+  }
+
+  /**
+   * Size of text.slice(from, to) in the chunk unit, in constant time
+   * Token estimates come from running totals of CJK and other characters (the same
+   * count as estimateTokens), so sizing a growing slice is not quadratic
+   * @returns {Function} - (from, to) => size
+   */
+  sizer(text) {
+    if (this.unit !== 'tokens') {
+      return (from, to) => to - from;
+    }
+
+    const cjk = new Uint32Array(text.length + 1);
+    const other = new Uint32Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      const isCjk = CJK.test(text[i]);
+      // The second half of a surrogate pair belongs to the character before it
+      const isTrailSurrogate = code >= 0xdc00 && code <= 0xdfff && i > 0;
+      cjk[i + 1] = cjk[i] + (isCjk ? 1 : 0);
+      other[i + 1] = other[i] + (isCjk || isTrailSurrogate ? 0 : 1);
+    }
+
+    return (from, to) => (cjk[to] - cjk[from]) + Math.ceil((other[to] - other[from]) / 4);
+  }
+
+  /**
+   * Split text into overlapping chunks
+   * @returns {Array<{text: string, start: number, end: number}>} - start/end are the character
+   *   offsets of the chunk's sentences in text (the overlap repeated from the previous
+   *   chunk is not included)
+   */
+  chunk(text) {
+    const chunks = [];
+    const sizeOf = this.sizer(text);
+    // Sentences are cut down so that they fit next to a full overlap
+    const sentences = this.splitSentences(text, this.chunkSize - this.chunkOverlap, sizeOf);
+
+    let current = [];        // Sentences of the chunk being filled
+    let overlapStart = null; // Offset where the repeated text of the previous chunk starts
+
+    // Finish a chunk with the first count sentences, upcoming is the sentence after current
+    const emit = (count, upcoming) => {
+      const own = current.slice(0, count);
+      const start = own[0].start;
+      const end = own[own.length - 1].end;
+      chunks.push({ text: normalize(text.slice(overlapStart ?? start, end)), start, end });
+
+      // A new paragraph starts afresh, otherwise the next chunk repeats the end of this one
+      const next = current[count] || upcoming;
+      overlapStart = !next || next.paragraph ? null : this.overlapStart(text, own, next.start, sizeOf);
+      current = current.slice(count);
+    };
+
+    for (const sentence of sentences) {
+      while (current.length > 0 && sizeOf(overlapStart ?? current[0].start, sentence.end) > this.chunkSize) {
+        emit(this.cutIndex(current, sizeOf), sentence);
+      }
+      current.push(sentence);
+    }
+
+    if (current.length > 0) {
+      emit(current.length, null);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Number of sentences to put in a full chunk: all of them, unless a paragraph starts in
+   * its second half, then the sentences before that paragraph
+   */
+  cutIndex(sentences, sizeOf) {
+    for (let i = sentences.length - 1; i > 0; i--) {
+      if (sentences[i].paragraph && sizeOf(sentences[0].start, sentences[i - 1].end) >= this.chunkSize / 2) {
+        return i;
+      }
+    }
+    return sentences.length;
+  }
+
+  /**
+   * Where the text repeated at the start of the next chunk begins
+   * The last sentences of the chunk that fit in chunkOverlap, or the end of its last
+   * sentence starting at a word boundary
+   * @param {Array} sentences - Sentences of the finished chunk
+   * @param {number} nextStart - Start of the next chunk's first sentence
+   * @param {Function} sizeOf - See sizer
+   * @returns {number|null} - null for no overlap
+   */
+  overlapStart(text, sentences, nextStart, sizeOf) {
+    if (this.chunkOverlap === 0) return null;
+
+    let start = null;
+    for (let i = sentences.length - 1; i >= 0; i--) {
+      if (sizeOf(sentences[i].start, nextStart) > this.chunkOverlap) break;
+      start = sentences[i].start;
+    }
+    if (start !== null) return start;
+
+    // Even the last sentence is too long: repeat as much of its end as fits
+    const last = sentences[sentences.length - 1];
+    let position = nextStart;
+    while (position > last.start && sizeOf(position - 1, nextStart) <= this.chunkOverlap) {
+      position--;
+    }
+    // Don't start in the middle of a word ("Node.js", "3.14") or with punctuation
+    while (position < last.end && WORD_CHAR.test(text[position - 1] || '') && WORD_CHAR.test(text[position])) {
+      position++;
+    }
+    while (position < last.end && LEADING_JUNK.test(text[position])) {
+      position++;
+    }
+    return position < last.end ? position : null;
+  }
+
+  /**
+   * Sentences of a text with their offsets
+   * @param {number} maxSize - Longer sentences are cut into pieces of at most this size
+   * @param {Function} sizeOf - See sizer
+   * @returns {Array<{start: number, end: number, paragraph: boolean}>} - paragraph is true
+   *   for the first sentence of a paragraph
+   */
+  splitSentences(text, maxSize, sizeOf = this.sizer(text)) {
+    const sentences = [];
+    let position = 0;
+    let lastEnd = null;
+
+    const add = (end) => {
+      const piece = text.slice(position, end);
+      const trimmed = piece.trim();
+      if (trimmed) {
+        const start = position + piece.indexOf(trimmed);
+        // The first sentence, and any after a blank line, start a paragraph
+        const paragraph = lastEnd === null || /\n[ \t\u3000]*\n/.test(text.slice(lastEnd, start));
+        this.splitLong(text, start, start + trimmed.length, maxSize, sizeOf).forEach((part, i) => {
+          sentences.push({ ...part, paragraph: paragraph && i === 0 });
+        });
+        lastEnd = start + trimmed.length;
+      }
+      position = end;
+    };
+
+    for (const match of text.matchAll(SENTENCE_END)) {
+      if (match[0].startsWith('.') && !match[0].startsWith('..') && isAbbreviation(text, match.index)) {
+        continue;
+      }
+      add(match.index + match[0].length);
+    }
+    add(text.length);
+
+    return sentences;
+  }
+
+  /**
+   * Cut a sentence into pieces of at most maxSize, after a comma or space where possible
+   * @param {Function} sizeOf - See sizer
+   * @returns {Array<{start: number, end: number}>}
+   */
+  splitLong(text, start, end, maxSize, sizeOf) {
+    const pieces = [];
+
+    while (sizeOf(start, end) > maxSize) {
+      // Longest prefix that fits (size grows with length, so binary search)
+      let low = start + 1;
+      let high = end;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (sizeOf(start, middle) <= maxSize) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+
+      let cut = low;
+      for (let i = low; i > start + (low - start) / 2; i--) {
+        if (SOFT_BREAK.test(text[i - 1])) {
+          cut = i;
+          break;
+        }
+      }
+
+      const piece = text.slice(start, cut);
+      const pieceEnd = start + piece.trimEnd().length;
+      pieces.push({ start, end: pieceEnd });
+      start = cut;
+      while (start < end && /\s/.test(text[start])) {
+        start++;
+      }
+    }
+
+    if (start < end) {
+      pieces.push({ start, end });
+    }
+    return pieces;
+  }
+}
+
+/**
+ * Whether the period at an offset belongs to an abbreviation or an initial ("Dr.", "J.")
+ */
+function isAbbreviation(text, periodIndex) {
+  const word = text.slice(Math.max(0, periodIndex - 20), periodIndex).match(/[\p{L}.]+$/u)?.[0];
+  if (!word) return false;
+  return ABBREVIATIONS.has(word.toLowerCase()) || /^\p{Lu}$/u.test(word);
+}
+
+/**
+ * Collapse runs of spaces and blank lines in chunk text
+ */
+function normalize(text) {
+  return text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
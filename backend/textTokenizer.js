@@ -0,0 +1,61 @@
+/**
+ * Language-aware tokenization
+ * Japanese is segmented with tiny-segmenter, English is split on whitespace
+ */
+
+import TinySegmenter from 'tiny-segmenter';
+
+const segmenter = new TinySegmenter();
+
+// Tokens made only of punctuation or symbols carry no prediction value
+const PUNCTUATION_ONLY = /^[\p{P}\p{S}\s]+$/u;
+
+/**
+ * Split text into sentences
+ * @param {string} text - Input text
+ * @param {string} language - Language code ('ja' or 'en')
+ * @returns {string[]}
+ */
+export function splitSentences(text, language = 'ja') {
+  return text.split(sentenceEnd(language)).map(s => s.trim()).filter(s => s.length > 0);
+}
+
+/**
+ * The sentence still being spoken at the end of text
+ * @returns {string} - Empty if text ends with a sentence terminator
+ */
+export function currentSentence(text, language = 'ja') {
+  return text.split(sentenceEnd(language)).pop().trim();
+}
+
+function sentenceEnd(language) {
+  return language === 'ja' ? /[。！？!?\n]+/ : /[.!?\n]+/;
+}
+
+/**
+ * Tokenize a sentence into words
+ * @param {string} text - Input text
+ * @param {string} language - Language code ('ja' or 'en')
+ * @returns {string[]} - Tokens without punctuation (English is lowercased)
+ */
+export function tokenize(text, language = 'ja') {
+  if (!text) return [];
+
+  if (language === 'ja') {
+    return segmenter.segment(text)
+      .map(token => token.trim())
+      .filter(token => token.length > 0 && !PUNCTUATION_ONLY.test(token));
+  }
+
+  return text.toLowerCase()
+    .split(/\s+/)
+    .map(token => token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(token => token.length > 0);
+}
+
+/**
+ * Join tokens back into a phrase
+ */
+export function joinTokens(tokens, language = 'ja') {
+  return tokens.join(language === 'ja' ? '' : ' ');
+}
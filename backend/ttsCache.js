@@ -0,0 +1,185 @@
+/**
+ * TTS audio cache
+ * Predicted words repeat a lot within a talk, so synthesized audio is kept in a bounded
+ * LRU keyed by provider, voice, language and text. Optionally persisted to disk so
+ * the cache survives restarts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const KEY_SEPARATOR = '|';
+
+export class TTSCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Maximum number of cached clips
+   * @param {number} options.maxBytes - Maximum total audio size
+   * @param {string|null} options.directory - Persist entries here (null = memory only)
+   */
+  constructor({ maxEntries = 500, maxBytes = 50 * 1024 * 1024, directory = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.directory = directory;
+
+    this.entries = new Map(); // key -> { audio, sampleRate, format }, oldest first
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+
+    if (this.directory) {
+      this.loadFromDisk();
+    }
+  }
+
+  /**
+   * Cache key for a clip
+   * @param {string} provider - Provider name
+   * @param {string|null} voiceId - Provider voice ID (null = provider's default voice)
+   * @param {string} language - Language code
+   * @param {string} text - Synthesized text
+   */
+  static key(provider, voiceId, language, text) {
+    return [provider, voiceId || 'default', language, text.trim()].join(KEY_SEPARATOR);
+  }
+
+  /**
+   * Look up a clip (counts a hit or miss)
+   * @returns {{audio: Buffer, sampleRate: number, format: string}|null}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a clip, evicting the least recently used ones if over the limits
+   */
+  set(key, { audio, sampleRate, format }) {
+    if (audio.length === 0 || audio.length > this.maxBytes) {
+      return;
+    }
+
+    this.delete(key);
+    this.entries.set(key, { audio, sampleRate, format });
+    this.totalBytes += audio.length;
+
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+
+    if (this.directory) {
+      this.writeEntry(key, { audio, sampleRate, format });
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.totalBytes -= entry.audio.length;
+
+    if (this.directory) {
+      const base = path.join(this.directory, this.fileName(key));
+      fs.rmSync(`${base}.json`, { force: true });
+      fs.rmSync(`${base}.pcm`, { force: true });
+    }
+  }
+
+  /**
+   * Drop every clip of a voice (re-cloned, reset or deleted)
+   * @returns {number} - Number of removed clips
+   */
+  invalidateVoice(provider, voiceId) {
+    const prefix = [provider, voiceId || 'default', ''].join(KEY_SEPARATOR);
+    let removed = 0;
+
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[TTS Cache] Invalidated ${removed} clips for ${provider} voice ${voiceId || 'default'}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Hit/miss counters and size (for /health)
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round(this.hits / lookups * 1000) / 1000 : 0,
+      persistent: Boolean(this.directory)
+    };
+  }
+
+  fileName(key) {
+    return createHash('sha1').update(key).digest('hex');
+  }
+
+  writeEntry(key, { audio, sampleRate, format }) {
+    try {
+      const base = path.join(this.directory, this.fileName(key));
+      fs.writeFileSync(`${base}.pcm`, audio);
+      fs.writeFileSync(`${base}.json`, JSON.stringify({ key, sampleRate, format, savedAt: Date.now() }));
+    } catch (error) {
+      console.error('[TTS Cache] Failed to persist clip:', error.message);
+    }
+  }
+
+  /**
+   * Load persisted clips, oldest first so the newest end up most recently used
+   */
+  loadFromDisk() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const metas = [];
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf-8'));
+        metas.push({ ...meta, base: path.join(this.directory, file.slice(0, -'.json'.length)) });
+      } catch (error) {
+        console.warn(`[TTS Cache] Skipping unreadable entry ${file}: ${error.message}`);
+      }
+    }
+
+    metas.sort((a, b) => a.savedAt - b.savedAt);
+
+    for (const meta of metas) {
+      if (!fs.existsSync(`${meta.base}.pcm`)) continue;
+
+      const audio = fs.readFileSync(`${meta.base}.pcm`);
+      this.entries.set(meta.key, { audio, sampleRate: meta.sampleRate, format: meta.format });
+      this.totalBytes += audio.length;
+    }
+
+    // Limits may have been lowered since the entries were written
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+
+    console.log(`[TTS Cache] Loaded ${this.entries.size} clips (${(this.totalBytes / 1024 / 1024).toFixed(1)}MB) from ${this.directory}`);
+  }
+}
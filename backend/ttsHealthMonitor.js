@@ -0,0 +1,137 @@
+/**
+ * TTS provider health monitoring
+ * Probes every provider at startup and on a schedule, and also learns from real
+ * synthesis results so a failing provider is skipped before the next probe
+ */
+
+import { CartesiaTTS } from './cartesiaTTS.js';
+import { Qwen3TTS } from './qwen3TTS.js';
+
+// Consecutive failures (probes or synthesis) after which a provider counts as unhealthy
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+export class TTSHealthMonitor {
+  constructor() {
+    this.intervalMs = parseInt(process.env.TTS_HEALTH_INTERVAL_MS, 10) || 60000;
+    this.timer = null;
+
+    // Probes only check the service, so they use their own provider instances
+    this.probes = {
+      cartesia: new CartesiaTTS(),
+      qwen3: new Qwen3TTS()
+    };
+
+    this.status = {};
+    for (const name of Object.keys(this.probes)) {
+      this.status[name] = {
+        healthy: true, // Optimistic until the first probe finishes
+        lastCheck: null,
+        probeLatencyMs: null,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastSynthesisMs: null
+      };
+    }
+  }
+
+  /**
+   * Probe now and then every intervalMs
+   */
+  start() {
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+    this.timer.unref(); // Don't keep the process alive just for probing
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Probe all providers in parallel
+   */
+  async checkAll() {
+    await Promise.all(Object.keys(this.probes).map(name => this.check(name)));
+  }
+
+  async check(name) {
+    const startTime = Date.now();
+    let healthy = false;
+    let error = null;
+
+    try {
+      healthy = await this.probes[name].checkHealth();
+    } catch (probeError) {
+      error = probeError.message;
+    }
+
+    const status = this.status[name];
+    status.lastCheck = new Date().toISOString();
+    status.probeLatencyMs = Date.now() - startTime;
+
+    if (healthy) {
+      this.markHealthy(name, 'probe succeeded');
+      status.lastError = null;
+    } else {
+      this.markFailure(name, error || 'Health check failed');
+    }
+  }
+
+  /**
+   * Record a successful synthesis
+   */
+  recordSuccess(name, latencyMs) {
+    if (!this.status[name]) return;
+
+    this.markHealthy(name, 'synthesis succeeded');
+    this.status[name].lastSynthesisMs = latencyMs;
+  }
+
+  /**
+   * Record a failed or timed out synthesis
+   */
+  recordFailure(name, error) {
+    if (!this.status[name]) return;
+
+    this.markFailure(name, error.message);
+  }
+
+  /**
+   * A probe or synthesis succeeded: the provider is healthy again
+   */
+  markHealthy(name, reason) {
+    const status = this.status[name];
+    if (!status.healthy) {
+      console.log(`[TTS Health] ${name} is now healthy (${reason})`);
+    }
+    status.healthy = true;
+    status.consecutiveFailures = 0;
+  }
+
+  /**
+   * A probe or synthesis failed: after MAX_CONSECUTIVE_FAILURES in a row (of either
+   * kind) the provider counts as unhealthy
+   */
+  markFailure(name, message) {
+    const status = this.status[name];
+    status.consecutiveFailures++;
+    status.lastError = message;
+
+    if (status.healthy && status.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      status.healthy = false;
+      console.log(`[TTS Health] ${name} is now unhealthy (${status.consecutiveFailures} failures in a row, last: ${message})`);
+    }
+  }
+
+  isHealthy(name) {
+    return this.status[name]?.healthy ?? false;
+  }
+
+  /**
+   * Health of all providers (for /health)
+   */
+  getStatus() {
+    return this.status;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * TTS provider routing with fallback
+ * Tries the session's selected provider first, then the remaining providers in
+ * TTS_FALLBACK_ORDER that hold a voice cloned in this session (never a stock voice),
+ * skipping unhealthy ones and giving each a time limit
+ */
+
+// Used when TTS_FALLBACK_ORDER is not set
+const DEFAULT_FALLBACK_ORDER = 'cartesia,qwen3';
+
+// Time limits of providers that need longer than TTS_PROVIDER_TIMEOUT_MS: Qwen3 only
+// returns whole clips
+const PROVIDER_TIMEOUT_MS = {
+  qwen3: 8000
+};
+
+export class TTSRouter {
+  /**
+   * @param {Session} session - Owner of the provider instances (and their cloned voices)
+   * @param {TTSHealthMonitor} healthMonitor - Shared provider health
+   */
+  constructor(session, healthMonitor) {
+    this.session = session;
+    this.healthMonitor = healthMonitor;
+
+    // An empty TTS_FALLBACK_ORDER disables fallback
+    this.fallbackOrder = (process.env.TTS_FALLBACK_ORDER ?? DEFAULT_FALLBACK_ORDER)
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+
+    // Time allowed per provider (to the first audio chunk when streaming)
+    this.providerTimeoutMs = parseInt(process.env.TTS_PROVIDER_TIMEOUT_MS, 10) || 1500;
+  }
+
+  /**
+   * Time limit of one provider: TTS_PROVIDER_TIMEOUT_MS_<NAME>, its built-in limit,
+   * or TTS_PROVIDER_TIMEOUT_MS
+   */
+  getProviderTimeout(name) {
+    return parseInt(process.env[`TTS_PROVIDER_TIMEOUT_MS_${name.toUpperCase()}`], 10) ||
+      PROVIDER_TIMEOUT_MS[name] ||
+      this.providerTimeoutMs;
+  }
+
+  /**
+   * Providers to try, in order
+   * Fallbacks must hold a voice cloned in this session: speaking in another provider's
+   * stock voice would be worse than no audio. Unhealthy providers go last instead of
+   * being dropped, so a bad health probe never leaves the session without any audio
+   * @returns {string[]}
+   */
+  getProviderOrder() {
+    const { ttsProviders, activeTTSProvider } = this.session;
+    const primary = activeTTSProvider.getProviderName();
+
+    const fallbacks = this.fallbackOrder
+      .filter(name => name !== primary && ttsProviders[name]?.getVoiceId());
+    const candidates = [primary, ...fallbacks]
+      .filter(name => ttsProviders[name] && ttsProviders[name].canSynthesize());
+
+    const healthy = candidates.filter(name => this.healthMonitor.isHealthy(name));
+    const unhealthy = candidates.filter(name => !this.healthMonitor.isHealthy(name));
+    return [...healthy, ...unhealthy];
+  }
+
+  /**
+   * Synthesize with the first provider that succeeds in time
+   * @param {string} text - Text to synthesize
+   * @param {string} language - Language code
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the whole request (no fallback)
+   * @param {boolean} options.stream - Use synthesizeStream when the provider supports it
+   * @param {Function} options.onChunk - (pcm, provider, sampleRate) for streamed audio
+   * @returns {Promise<Object>} - { provider, fallback, streamed, chunks } when streamed,
+   *   otherwise { provider, fallback, streamed, audio, sampleRate, format }
+   */
+  async synthesize(text, language, { signal, stream = false, onChunk } = {}) {
+    const order = this.getProviderOrder();
+    let lastError = new Error('No TTS provider is ready (clone a voice first)');
+
+    for (const [index, name] of order.entries()) {
+      const provider = this.session.ttsProviders[name];
+      const controller = new AbortController();
+      const timeoutMs = this.getProviderTimeout(name);
+      const timer = setTimeout(() => controller.abort('timeout'), timeoutMs);
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const startTime = Date.now();
+      let chunksSent = 0;
+
+      try {
+        let result;
+
+        if (stream && typeof provider.synthesizeStream === 'function') {
+          await provider.synthesizeStream(text, null, language, {
+            signal: controller.signal,
+            onChunk: (pcm) => {
+              // Audio is flowing: the time limit only covers the wait for the first chunk
+              clearTimeout(timer);
+              chunksSent++;
+              onChunk(pcm, name, provider.sampleRate);
+            }
+          });
+          result = { streamed: true, chunks: chunksSent };
+        } else {
+          result = { streamed: false, ...(await provider.synthesize(text, null, language, { signal: controller.signal })) };
+        }
+
+        this.healthMonitor.recordSuccess(name, Date.now() - startTime);
+        return { ...result, provider: name, fallback: index > 0 };
+
+      } catch (error) {
+        // Cancelled by the caller: not the provider's fault, and nothing to fall back for
+        if (signal?.aborted) {
+          throw error;
+        }
+
+        const reason = controller.signal.aborted ? new Error(`Timed out after ${timeoutMs}ms`) : error;
+        this.healthMonitor.recordFailure(name, reason);
+        lastError = reason;
+
+        // Part of the clip already reached the client, another voice can't take over mid-word
+        if (chunksSent > 0) {
+          throw reason;
+        }
+
+        console.warn(`[TTS Router] ${name} failed (${reason.message})${index < order.length - 1 ? `, falling back to ${order[index + 1]}` : ''}`);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }
+
+    throw lastError;
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Request validation for file-backed endpoints
+ * Names and folders sent by clients are checked against the folders they may refer to
+ * (knowledge-data/ for documents, rag-knowledge/ for built knowledge bases) before they
+ * reach the file system, and request bodies against small per-route schemas. Failures
+ * throw a ValidationError carrying the HTTP status to answer with
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { isManifestFile } from './knowledgeBaseStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROJECT_ROOT = path.resolve(__dirname, '..');
+export const KNOWLEDGE_DATA_DIR = path.join(PROJECT_ROOT, 'knowledge-data');
+export const RAG_KNOWLEDGE_DIR = path.join(PROJECT_ROOT, 'rag-knowledge');
+
+export const LANGUAGES = ['ja', 'en'];
+
+// Names become file and folder names: no path separators, reserved or control characters,
+// and no leading "." (hidden files, "..")
+const SAFE_NAME = /^[^\\/:*?"<>|.\u0000-\u001f][^\\/:*?"<>|\u0000-\u001f]*$/;
+
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 200;
+
+export class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status (400 invalid, 404 not found)
+   * @param {string} options.field - Request field that failed
+   */
+  constructor(message, { status = 400, field = null } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = status;
+    this.field = field;
+  }
+}
+
+/**
+ * A file or folder name that is safe to join to a directory
+ * @returns {string} - The trimmed name
+ */
+export function validateName(value, field = 'name', maxLength = 100) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!SAFE_NAME.test(name) || name.length > maxLength) {
+    throw new ValidationError(
+      `${field} must be 1-${maxLength} characters, not start with "." and not contain / \\ : * ? " < > |`,
+      { field }
+    );
+  }
+  return name;
+}
+
+/**
+ * A knowledge base name (its manifest is rag-knowledge/<name>.json)
+ */
+export function knowledgeBaseName(value, field = 'modelName') {
+  const name = validateName(value, field);
+  // <name>.chunks.json would be taken for another knowledge base's chunk file, and the
+  // name is passed to buildRAG.js as an argument, where "--..." would be an option
+  if (name.endsWith('.chunks') || name.startsWith('-')) {
+    throw new ValidationError(`${field} cannot start with "-" or end with ".chunks"`, { field });
+  }
+  return name;
+}
+
+/**
+ * Absolute path of name inside root
+ * @throws {ValidationError} - If the path leads out of root, also through a symlink
+ */
+export function resolveInside(root, name, field = 'path') {
+  const outside = (from, to) => {
+    const relative = path.relative(from, to);
+    return !relative || relative.startsWith('..') || path.isAbsolute(relative);
+  };
+
+  const resolved = path.resolve(root, name);
+  if (outside(root, resolved) || (fs.existsSync(resolved) && outside(fs.realpathSync(root), fs.realpathSync(resolved)))) {
+    throw new ValidationError(`${field} must be inside ${path.basename(root)}/`, { field });
+  }
+  return resolved;
+}
+
+/**
+ * Path of an existing knowledge folder, given as "knowledge-data/<name>" (as listed by
+ * /api/knowledge-folders) or "<name>"
+ */
+export function knowledgeFolderPath(value, field = 'knowledgeFolder') {
+  const name = validateName(String(value).replace(/^knowledge-data\//, ''), field);
+  const folderPath = resolveInside(KNOWLEDGE_DATA_DIR, name, field);
+
+  if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+    throw new ValidationError(`Knowledge folder not found: knowledge-data/${name}`, { status: 404, field });
+  }
+  return folderPath;
+}
+
+/**
+ * Path of an existing knowledge base manifest, given as its file name ("my-domain.json")
+ */
+export function manifestPath(value, field = 'filename') {
+  const filename = validateName(value, field, 255);
+  if (!isManifestFile(filename)) {
+    throw new ValidationError(`${field} must be a knowledge base manifest (<name>.json)`, { field });
+  }
+
+  const ragPath = resolveInside(RAG_KNOWLEDGE_DIR, filename, field);
+  if (!fs.existsSync(ragPath)) {
+    throw new ValidationError(`Knowledge base not found: ${filename}`, { status: 404, field });
+  }
+  return ragPath;
+}
+
+/**
+ * Glob patterns, given as an array or a comma-separated string ({a,b} stays whole)
+ */
+export function parsePatterns(value, field = 'patterns') {
+  const patterns = (Array.isArray(value) ? value : String(value).split(/,(?![^{]*\})/))
+    .map(pattern => (typeof pattern === 'string' ? pattern.trim() : null));
+
+  if (patterns.includes(null)) {
+    throw new ValidationError(`${field} must be strings`, { field });
+  }
+  if (patterns.length > MAX_PATTERNS || patterns.some(pattern => pattern.length > MAX_PATTERN_LENGTH)) {
+    throw new ValidationError(`${field} can have at most ${MAX_PATTERNS} patterns of ${MAX_PATTERN_LENGTH} characters`, { field });
+  }
+  return patterns.filter(Boolean);
+}
+
+/**
+ * One field by its schema entry
+ * @param {Object} spec - { type: 'string'|'integer'|'boolean'|'patterns', required, default,
+ *   values (allowed values), min, max, maxLength, check (value, field) => converted value }
+ */
+function parseField(field, value, spec) {
+  const missing = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+  if (missing) {
+    if (spec.required) {
+      throw new ValidationError(`Missing ${field}`, { field });
+    }
+    return spec.default ?? null;
+  }
+
+  let parsed;
+  switch (spec.type) {
+    case 'integer':
+      parsed = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : NaN);
+      if (!Number.isInteger(parsed)) {
+        throw new ValidationError(`${field} must be an integer`, { field });
+      }
+      if ((spec.min !== undefined && parsed < spec.min) || (spec.max !== undefined && parsed > spec.max)) {
+        throw new ValidationError(`${field} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`, { field });
+      }
+      break;
+
+    case 'boolean':
+      if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+        throw new ValidationError(`${field} must be true or false`, { field });
+      }
+      parsed = value === true || value === 'true';
+      break;
+
+    case 'patterns':
+      parsed = parsePatterns(value, field);
+      break;
+
+    default:
+      if (typeof value !== 'string') {
+        throw new ValidationError(`${field} must be a string`, { field });
+      }
+      parsed = value.trim();
+      if (spec.maxLength !== undefined && parsed.length > spec.maxLength) {
+        throw new ValidationError(`${field} can be at most ${spec.maxLength} characters`, { field });
+      }
+  }
+
+  if (spec.values && !spec.values.includes(parsed)) {
+    throw new ValidationError(`${field} must be one of: ${spec.values.join(', ')}`, { field });
+  }
+  return spec.check ? spec.check(parsed, field) : parsed;
+}
+
+/**
+ * Validate a request against a schema
+ * @param {Object} schema - { params, query, body }: field name -> spec (see parseField),
+ *   and optionally check(input) for rules across fields
+ * @returns {Object} - The parsed fields of all parts (unknown fields are dropped)
+ * @throws {ValidationError}
+ */
+export function parseRequest(schema, req) {
+  const input = {};
+  for (const part of ['params', 'query', 'body']) {
+    for (const [field, spec] of Object.entries(schema[part] || {})) {
+      input[field] = parseField(field, req[part]?.[field], spec);
+    }
+  }
+  schema.check?.(input);
+  return input;
+}
+
+/**
+ * Answer a request that failed validation
+ */
+export function sendValidationError(res, error) {
+  res.status(error.status).json({
+    success: false,
+    error: error.status === 404 ? 'Not found' : 'Invalid request',
+    message: error.message,
+    field: error.field
+  });
+}
+
+/**
+ * Express middleware: validate the request, leaving the parsed fields in res.locals.input
+ */
+export function validateRequest(schema) {
+  return (req, res, next) => {
+    try {
+      res.locals.input = parseRequest(schema, req);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        return next(error);
+      }
+      return sendValidationError(res, error);
+    }
+    next();
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Vector search in a worker thread
+ * Scoring tens of thousands of 1536-dimensional vectors takes long enough to delay
+ * WebSocket messages, so large knowledge bases are searched in vectorSearchWorker.js
+ */
+
+import { Worker } from 'worker_threads';
+
+// Each worker holds a copy of the vectors and the graph, so sessions that load the same
+// build of a knowledge base share one ("<manifest path>:<mtime>" -> VectorSearch)
+const sharedSearches = new Map();
+
+export class VectorSearch {
+  /**
+   * Worker search for a knowledge base build, shared with everyone using the same build
+   * @param {string} key - Identifies the build (manifest path and mtime)
+   * @param {Function} load - () => constructor options, only called to start a new worker
+   * @returns {VectorSearch} - Hand it back with release()
+   */
+  static acquire(key, load) {
+    let search = sharedSearches.get(key);
+    if (!search || search.exited) {
+      search = new VectorSearch(load());
+      search.sharedKey = key;
+      sharedSearches.set(key, search);
+    } else {
+      search.users++;
+    }
+    return search;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Float32Array} options.vectors - Embeddings in chunk order, count x dimensions
+   * @param {number} options.dimensions
+   * @param {Buffer|null} options.annIndex - Serialized HNSW graph (null = full scan)
+   */
+  constructor({ vectors, dimensions, annIndex = null }) {
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.nextId = 1;
+    this.exited = false;
+    this.sharedKey = null;
+    this.users = 1; // Holders that have not called release()
+
+    // Vectors and graph are copied into the worker
+    this.worker = new Worker(new URL('./vectorSearchWorker.js', import.meta.url), {
+      workerData: { vectors, dimensions, annIndex }
+    });
+
+    this.worker.on('message', ({ id, results, error }) => {
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(results);
+      }
+    });
+
+    this.worker.on('error', (error) => {
+      console.error('[Vector Search] Worker error:', error.message);
+      this.rejectAll(error);
+    });
+
+    this.worker.on('exit', (code) => {
+      this.exited = true;
+      this.rejectAll(new Error(`Vector search worker exited (code ${code})`));
+    });
+  }
+
+  /**
+   * Most similar chunks to a query embedding
+   * @param {number[]} query - Query embedding
+   * @param {number} k - Number of nearest chunks
+   * @param {number[]} indices - Chunks to score as well, even if they are not among the k nearest
+   * @returns {Promise<Array<{index: number, similarity: number}>>}
+   */
+  search(query, k, indices = []) {
+    if (this.exited) {
+      return Promise.reject(new Error('Vector search worker is not running'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, query, k, indices });
+    });
+  }
+
+  rejectAll(error) {
+    for (const { reject } of this.pending.values()) {
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Give the search back: the worker stops when its last user releases it
+   */
+  release() {
+    if (--this.users > 0) return;
+    if (sharedSearches.get(this.sharedKey) === this) {
+      sharedSearches.delete(this.sharedKey);
+    }
+    this.terminate();
+  }
+
+  terminate() {
+    if (this.exited) return;
+    this.exited = true;
+    this.rejectAll(new Error('Vector search stopped'));
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Vector search worker (started by vectorSearch.js)
+ * Holds one knowledge base's vectors and answers similarity queries off the main thread,
+ * using the HNSW graph when the knowledge base has one and a full scan otherwise
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { HnswIndex, normalizeVectors, dotProduct } from './hnswIndex.js';
+
+const { dimensions, annIndex } = workerData;
+
+const index = annIndex
+  ? HnswIndex.fromBuffer(Buffer.from(annIndex.buffer, annIndex.byteOffset, annIndex.byteLength), workerData.vectors, dimensions)
+  : null;
+const vectors = index ? index.vectors : normalizeVectors(workerData.vectors, dimensions);
+const count = vectors.length / dimensions;
+
+/**
+ * Top k chunks by cosine similarity, plus the similarity of every chunk in indices
+ * @returns {Array<{index: number, similarity: number}>}
+ */
+function search(query, k, indices) {
+  const normalizedQuery = normalizeVectors(Float32Array.from(query), dimensions);
+  let results;
+
+  if (index) {
+    results = index.search(normalizedQuery, k);
+  } else {
+    results = [];
+    for (let i = 0; i < count; i++) {
+      results.push({ index: i, similarity: dotProduct(vectors, dimensions, i, normalizedQuery) });
+    }
+    results.sort((a, b) => b.similarity - a.similarity);
+    results.length = Math.min(k, count);
+  }
+
+  const found = new Set(results.map(result => result.index));
+  for (const i of indices) {
+    if (found.has(i) || i < 0 || i >= count) continue;
+    results.push({ index: i, similarity: dotProduct(vectors, dimensions, i, normalizedQuery) });
+    found.add(i);
+  }
+  return results;
+}
+
+parentPort.on('message', ({ id, query, k, indices = [] }) => {
+  try {
+    parentPort.postMessage({ id, results: search(query, k, indices) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,160 @@
+/**
+ * Local voice library
+ * Stores cloned voices as named profiles under voices/<id>/ so they can be reused
+ * without recording again:
+ *   profile.json    - name, language, provider, Cartesia voice ID, transcripts
+ *   reference.<ext> - Qwen3 reference audio (Qwen3 has no persistent voice IDs)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { extensionForMimeType } from './audioTranscoder.js';
+
+const PROFILE_FILE = 'profile.json';
+
+export class VoiceLibrary {
+  /**
+   * @param {string} directory - Absolute path of the voices folder
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  profileDir(id) {
+    // Profile IDs are generated UUIDs, anything else cannot refer to a profile folder
+    if (!/^[0-9a-f-]{36}$/.test(id)) {
+      return null;
+    }
+    return path.join(this.directory, id);
+  }
+
+  /**
+   * List all saved profiles, newest first
+   * @returns {Object[]}
+   */
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const profiles = [];
+    for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const profile = this.get(entry.name);
+      if (profile) {
+        profiles.push(profile);
+      }
+    }
+
+    return profiles.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Load a profile
+   * @returns {Object|null} - Profile, or null if it does not exist
+   */
+  get(id) {
+    const dir = this.profileDir(id);
+    if (!dir) return null;
+
+    const profilePath = path.join(dir, PROFILE_FILE);
+    if (!fs.existsSync(profilePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(profilePath, 'utf-8'));
+    } catch (error) {
+      console.error(`[Voice Library] Failed to read profile ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save a newly cloned voice
+   * @param {Object} voice
+   * @param {string} voice.name - Display name
+   * @param {string} voice.language - Language code ('ja' or 'en')
+   * @param {string} voice.provider - TTS provider name ('cartesia' or 'qwen3')
+   * @param {string|null} voice.voiceId - Provider voice ID (Cartesia)
+   * @param {string} voice.introduction - Self-introduction transcript (added to LLM history on use)
+   * @param {Buffer|null} voice.referenceAudio - Reference audio to keep (Qwen3)
+   * @param {string|null} voice.referenceMimeType - MIME type of referenceAudio
+   * @param {string|null} voice.referenceTranscript - What is said in referenceAudio
+   * @returns {Object} - The saved profile
+   */
+  save({ name, language, provider, voiceId = null, introduction = '', referenceAudio = null, referenceMimeType = null, referenceTranscript = null }) {
+    const id = randomUUID();
+    const dir = this.profileDir(id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    let referenceFile = null;
+    if (referenceAudio) {
+      referenceFile = `reference.${extensionForMimeType(referenceMimeType)}`;
+      fs.writeFileSync(path.join(dir, referenceFile), referenceAudio);
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: id,
+      name: name,
+      language: language,
+      provider: provider,
+      voiceId: voiceId,
+      referenceFile: referenceFile,
+      referenceMimeType: referenceAudio ? referenceMimeType : null,
+      referenceTranscript: referenceAudio ? referenceTranscript : null,
+      introduction: introduction,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.write(profile);
+    console.log(`[Voice Library] Saved profile "${name}" (${provider}, ${language}) as ${id}`);
+    return profile;
+  }
+
+  write(profile) {
+    fs.writeFileSync(path.join(this.profileDir(profile.id), PROFILE_FILE), JSON.stringify(profile, null, 2));
+  }
+
+  /**
+   * Rename a profile
+   * @returns {Object|null} - Updated profile, or null if it does not exist
+   */
+  rename(id, name) {
+    const profile = this.get(id);
+    if (!profile) return null;
+
+    profile.name = name;
+    profile.updatedAt = new Date().toISOString();
+    this.write(profile);
+
+    console.log(`[Voice Library] Renamed profile ${id} to "${name}"`);
+    return profile;
+  }
+
+  /**
+   * Delete a profile and its files (the caller removes the provider-side voice)
+   * @returns {Object|null} - The deleted profile, or null if it does not exist
+   */
+  remove(id) {
+    const profile = this.get(id);
+    if (!profile) return null;
+
+    fs.rmSync(this.profileDir(id), { recursive: true, force: true });
+    console.log(`[Voice Library] Deleted profile "${profile.name}" (${id})`);
+    return profile;
+  }
+
+  /**
+   * Read a profile's stored reference audio
+   * @returns {Buffer|null}
+   */
+  readReferenceAudio(profile) {
+    if (!profile.referenceFile) return null;
+    return fs.readFileSync(path.join(this.profileDir(profile.id), profile.referenceFile));
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Reference audio quality analysis for voice cloning
+ * Measures the recording before it is sent to a clone API, so bad takes are caught
+ * without spending provider credits
+ */
+
+import { parseWav, decodeToMono } from './audioUtils.js';
+import { decodeToWav, isFfmpegAvailable } from './audioTranscoder.js';
+
+const ANALYSIS_SAMPLE_RATE = 16000;
+const FRAME_MS = 20;
+
+// Voice activity: speech rises and falls with every syllable, background noise stays
+// level. A frame is a pause when the level around it (PAUSE_WINDOW_MS) varies by less
+// than PAUSE_RANGE_DB and it is PAUSE_MARGIN_DB below the speech level; only pauses
+// measure the noise floor. Non-pause frames above SILENCE_DB count as speech
+const PAUSE_WINDOW_MS = 300;
+const PAUSE_RANGE_DB = 6;
+const PAUSE_MARGIN_DB = 6;
+const SPEECH_LEVEL_PERCENTILE = 0.9;
+const SILENCE_DB = -50;
+const MIN_DB = -96;
+const CLIP_LEVEL = 0.999;
+
+// [warn, fail] limits per metric
+const THRESHOLDS = {
+  speechDurationSec: { warn: 6, fail: 3 },     // Below: too little speech
+  rmsDb: { warn: -35, fail: -45 },             // Below: too quiet
+  rmsDbMax: { warn: -8 },                      // Above: too loud
+  clippingRatio: { warn: 0.001, fail: 0.01 },  // Above: distorted
+  snrDb: { warn: 20, fail: 12 }                // Below: too noisy (measurable down to ~PAUSE_MARGIN_DB)
+};
+
+const toDb = (value) => value > 0 ? 20 * Math.log10(value) : -Infinity;
+const round = (value, digits = 1) => Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return -Infinity;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Mark the frames that are pauses (steady level well below speech)
+ * @param {Float64Array} frameDbs - Frame levels (dBFS, at least MIN_DB)
+ * @returns {Uint8Array} - 1 for pause frames
+ */
+function findPauses(frameDbs) {
+  const frameCount = frameDbs.length;
+  const speechLevelDb = percentile(Float64Array.from(frameDbs).sort(), SPEECH_LEVEL_PERCENTILE);
+  const halfWindow = Math.max(1, Math.round(PAUSE_WINDOW_MS / FRAME_MS / 2));
+  const pauses = new Uint8Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (frameDbs[frame] > speechLevelDb - PAUSE_MARGIN_DB) continue;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = Math.max(0, frame - halfWindow); i <= Math.min(frameCount - 1, frame + halfWindow); i++) {
+      min = Math.min(min, frameDbs[i]);
+      max = Math.max(max, frameDbs[i]);
+    }
+    pauses[frame] = max - min < PAUSE_RANGE_DB ? 1 : 0;
+  }
+  return pauses;
+}
+
+/**
+ * Compute quality metrics for mono samples
+ * @param {Float32Array} samples - Mono samples (-1..1)
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {Object} - Metrics (levels in dBFS)
+ */
+export function measureVoiceQuality(samples, sampleRate) {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+  const frameCount = Math.floor(samples.length / frameSize);
+
+  const frameEnergies = new Float64Array(frameCount);
+  const frameDbs = new Float64Array(frameCount);
+  let peak = 0;
+  let clippedSamples = 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+      const value = Math.abs(samples[i]);
+      sum += value * value;
+      if (value > peak) peak = value;
+      if (value >= CLIP_LEVEL) clippedSamples++;
+    }
+    frameEnergies[frame] = sum / frameSize;
+    frameDbs[frame] = Math.max(toDb(Math.sqrt(frameEnergies[frame])), MIN_DB);
+  }
+
+  // Room tone in the pauses is the noise floor. Without pauses (continuous speech) it
+  // cannot be told apart from the voice and stays unknown
+  const pauses = findPauses(frameDbs);
+  let pauseFrames = 0;
+  let pauseEnergy = 0;
+  let speechFrames = 0;
+  let speechEnergy = 0;
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (pauses[frame]) {
+      pauseFrames++;
+      pauseEnergy += frameEnergies[frame];
+    } else if (frameDbs[frame] > SILENCE_DB) {
+      speechFrames++;
+      speechEnergy += frameEnergies[frame];
+    }
+  }
+
+  const rmsDb = speechFrames > 0 ? toDb(Math.sqrt(speechEnergy / speechFrames)) : -Infinity;
+  const noiseFloorDb = pauseFrames > 0 ? Math.max(toDb(Math.sqrt(pauseEnergy / pauseFrames)), MIN_DB) : null;
+
+  return {
+    durationSec: round(samples.length / sampleRate, 2),
+    speechDurationSec: round(speechFrames * FRAME_MS / 1000, 2),
+    rmsDb: round(rmsDb),
+    peakDb: round(toDb(peak)),
+    clippingRatio: frameCount > 0 ? round(clippedSamples / (frameCount * frameSize), 5) : 0,
+    noiseFloorDb: noiseFloorDb === null ? null : round(noiseFloorDb),
+    snrDb: speechFrames > 0 && noiseFloorDb !== null ? round(rmsDb - noiseFloorDb) : null
+  };
+}
+
+/**
+ * Grade metrics against the thresholds
+ * A check is 'unknown' when its metric could not be measured; it does not affect the verdict
+ * @returns {{verdict: string, checks: Array<{metric: string, status: string, value: number, message: string}>}}
+ */
+export function gradeVoiceQuality(metrics) {
+  const checks = [];
+  const check = (metric, status, message) => {
+    checks.push({ metric, status, value: metrics[metric], message });
+  };
+
+  const { speechDurationSec, rmsDb, clippingRatio, snrDb } = metrics;
+
+  if (speechDurationSec < THRESHOLDS.speechDurationSec.fail) {
+    check('speechDurationSec', 'fail', `Only ${speechDurationSec}s of speech detected, at least ${THRESHOLDS.speechDurationSec.warn}s is needed`);
+  } else if (speechDurationSec < THRESHOLDS.speechDurationSec.warn) {
+    check('speechDurationSec', 'warn', `${speechDurationSec}s of speech, ${THRESHOLDS.speechDurationSec.warn}s or more gives a better clone`);
+  } else {
+    check('speechDurationSec', 'pass', `${speechDurationSec}s of speech`);
+  }
+
+  if (rmsDb === null || rmsDb < THRESHOLDS.rmsDb.fail) {
+    check('rmsDb', 'fail', 'Recording is far too quiet, move closer to the microphone');
+  } else if (rmsDb < THRESHOLDS.rmsDb.warn) {
+    check('rmsDb', 'warn', 'Recording is quiet, speak louder or move closer to the microphone');
+  } else if (rmsDb > THRESHOLDS.rmsDbMax.warn) {
+    check('rmsDb', 'warn', 'Recording is very loud, move away from the microphone');
+  } else {
+    check('rmsDb', 'pass', 'Speech level is good');
+  }
+
+  if (clippingRatio > THRESHOLDS.clippingRatio.fail) {
+    check('clippingRatio', 'fail', 'Heavy clipping, lower the microphone gain');
+  } else if (clippingRatio > THRESHOLDS.clippingRatio.warn) {
+    check('clippingRatio', 'warn', 'Some clipping, lower the microphone gain');
+  } else {
+    check('clippingRatio', 'pass', 'No clipping');
+  }
+
+  if (snrDb === null) {
+    check('snrDb', 'unknown', 'No pause to measure background noise in, leave a second of silence before or after speaking');
+  } else if (snrDb < THRESHOLDS.snrDb.fail) {
+    check('snrDb', 'fail', 'Background noise is nearly as loud as the voice, record in a quieter place');
+  } else if (snrDb < THRESHOLDS.snrDb.warn) {
+    check('snrDb', 'warn', 'Noticeable background noise');
+  } else {
+    check('snrDb', 'pass', 'Background is quiet');
+  }
+
+  const verdict = checks.some(c => c.status === 'fail') ? 'fail'
+    : checks.some(c => c.status === 'warn') ? 'warn'
+      : 'pass';
+
+  return { verdict, checks };
+}
+
+/**
+ * Analyze a recording (WAV is read directly, other formats are decoded with ffmpeg)
+ * @param {Buffer} audioBuffer - Recorded audio
+ * @param {string} mimeType - MIME type of the recording
+ * @returns {Promise<Object>} - { analyzed, verdict: 'pass'|'warn'|'fail'|'unknown', metrics, checks }
+ */
+export async function analyzeRecording(audioBuffer, mimeType = 'audio/webm') {
+  try {
+    let wavBuffer;
+    if (/wav/.test(mimeType)) {
+      wavBuffer = audioBuffer;
+    } else if (await isFfmpegAvailable()) {
+      wavBuffer = await decodeToWav(audioBuffer, ANALYSIS_SAMPLE_RATE);
+    } else {
+      return {
+        analyzed: false,
+        verdict: 'unknown',
+        message: `Cannot decode ${mimeType} without ffmpeg`,
+        metrics: null,
+        checks: []
+      };
+    }
+
+    const wav = parseWav(wavBuffer);
+    const metrics = measureVoiceQuality(decodeToMono(wav.data, wav), wav.sampleRate);
+    const { verdict, checks } = gradeVoiceQuality(metrics);
+
+    console.log(`[Voice Quality] ${verdict}: speech ${metrics.speechDurationSec}s, level ${metrics.rmsDb}dB, SNR ${metrics.snrDb}dB, clipping ${(metrics.clippingRatio * 100).toFixed(2)}%`);
+
+    return { analyzed: true, verdict, metrics, checks };
+
+  } catch (error) {
+    console.error('[Voice Quality] Analysis failed:', error.message);
+    return {
+      analyzed: false,
+      verdict: 'unknown',
+      message: error.message,
+      metrics: null,
+      checks: []
+    };
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Minimal ZIP archive reader
+ * Enough for Office Open XML files (.pptx): reads the central directory and inflates
+ * stored or deflated entries with zlib. ZIP64, encryption and multi-disk archives are
+ * not supported. Archives come from uploads, so an entry and everything read from one
+ * archive are capped (a few KB of deflated data can expand to gigabytes)
+ */
+
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const DEFAULT_MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_SIZE = 256 * 1024 * 1024;
+
+export class ZipArchive {
+  /**
+   * @param {Buffer} buffer - Whole archive
+   * @param {Object} options
+   * @param {number} options.maxEntrySize - Largest uncompressed entry that is read (bytes)
+   * @param {number} options.maxTotalSize - Uncompressed bytes read from the archive in total
+   */
+  constructor(buffer, { maxEntrySize = DEFAULT_MAX_ENTRY_SIZE, maxTotalSize = DEFAULT_MAX_TOTAL_SIZE } = {}) {
+    this.buffer = buffer;
+    this.maxEntrySize = maxEntrySize;
+    this.maxTotalSize = maxTotalSize;
+    this.totalRead = 0;
+    this.entries = new Map(); // name -> { method, compressedSize, uncompressedSize, localHeaderOffset }
+
+    const end = this.findEndOfCentralDirectory();
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < entryCount; i++) {
+      if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+      this.entries.set(name, {
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        uncompressedSize: buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: buffer.readUInt32LE(offset + 42)
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+
+  /**
+   * The end record sits at the end of the file, followed by a comment of up to 64KB
+   */
+  findEndOfCentralDirectory() {
+    const minOffset = Math.max(0, this.buffer.length - 22 - 0xffff);
+    for (let offset = this.buffer.length - 22; offset >= minOffset; offset--) {
+      if (this.buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+        return offset;
+      }
+    }
+    throw new Error('Not a ZIP archive');
+  }
+
+  /**
+   * Entry names, in archive order
+   */
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Uncompressed content of an entry
+   * @returns {Buffer}
+   * @throws {Error} - Also when the entry or the archive's total exceeds the size limits
+   */
+  read(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`No ${name} in ZIP archive`);
+    }
+
+    // The declared size may lie, inflating is capped below as well
+    const limit = Math.min(this.maxEntrySize, this.maxTotalSize - this.totalRead);
+    if (entry.uncompressedSize > limit) {
+      throw new Error(`ZIP entry ${name} is too large (${entry.uncompressedSize} bytes, limit ${limit})`);
+    }
+
+    const offset = entry.localHeaderOffset;
+    if (this.buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+
+    // Local name and extra field lengths may differ from the central directory's
+    const dataStart = offset + 30 + this.buffer.readUInt16LE(offset + 26) + this.buffer.readUInt16LE(offset + 28);
+    const data = this.buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    let content;
+    if (entry.method === METHOD_STORED) {
+      content = data;
+    } else if (entry.method === METHOD_DEFLATED) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, limit) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`ZIP entry ${name} is too large (over ${limit} bytes uncompressed)`);
+        }
+        throw error;
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+    }
+
+    if (content.length > limit) {
+      throw new Error(`ZIP entry ${name} is too large (${content.length} bytes, limit ${limit})`);
+    }
+    this.totalRead += content.length;
+    return content;
+  }
+}
@@ -7,6 +7,7 @@ class PredictiveSpeakingApp {
   constructor() {
     this.serverUrl = 'ws://localhost:3000';
     this.ws = null;
+    this.sessionId = null; // Assigned by server on WebSocket connect, sent with REST calls
     this.recognition = null;
     this.mediaRecorder = null;
     this.audioChunks = [];
@@ -21,6 +22,12 @@ class PredictiveSpeakingApp {
     this.predictionHistory = []; // Store last 3 predictions with timestamps
     this.audioContext = null;
     this.currentAudioSource = null; // Track currently playing audio source
+    this.audioStream = null; // Streaming playback: { id, sequenceId, nextStartTime, sources }
+    this.qualityDecision = null; // Resolves the "use this recording?" prompt in the setup phase
+    this.ragBuildJob = null; // Knowledge base build started from this page (kept after cancel/failure for resuming)
+    this.ragChunkOffset = 0; // First chunk shown in the inspection panel
+    this.ragChunksPerPage = 20;
+    this.ragUploadFiles = []; // Files chosen or dropped for uploading to a knowledge folder
 
     // ASR provider selection
     this.asrProvider = 'browser'; // 'browser' or 'gpt4o'
@@ -72,12 +79,39 @@ class PredictiveSpeakingApp {
     this.modelInfo = document.getElementById('model-info');
     this.modelDetails = document.getElementById('model-details');
 
+    // N-gram model elements
+    this.ngramFolderSelect = document.getElementById('ngram-folder-select');
+    this.ngramModeSelect = document.getElementById('ngram-mode-select');
+    this.loadNgramBtn = document.getElementById('load-ngram-btn');
+
     // RAG creation elements
     this.ragKnowledgeFolderSelect = document.getElementById('rag-knowledge-folder-select');
     this.ragModelLanguage = document.getElementById('rag-model-language');
+    this.ragIncludePatterns = document.getElementById('rag-include-patterns');
+    this.ragExcludePatterns = document.getElementById('rag-exclude-patterns');
     this.createRagBtn = document.getElementById('create-rag-btn');
+    this.ragUploadDropzone = document.getElementById('rag-upload-dropzone');
+    this.ragUploadInput = document.getElementById('rag-upload-input');
+    this.ragUploadFileList = document.getElementById('rag-upload-file-list');
+    this.ragUploadFolderName = document.getElementById('rag-upload-folder-name');
+    this.uploadRagBtn = document.getElementById('upload-rag-btn');
     this.ragCreationStatus = document.getElementById('rag-creation-status');
     this.ragCreationStatusText = document.getElementById('rag-creation-status-text');
+    this.ragBuildProgress = document.getElementById('rag-build-progress');
+    this.cancelRagBuildBtn = document.getElementById('cancel-rag-build-btn');
+    this.resumeRagBuildBtn = document.getElementById('resume-rag-build-btn');
+    this.ragInspector = document.getElementById('rag-inspector');
+    this.renameRagBtn = document.getElementById('rename-rag-btn');
+    this.deleteRagBtn = document.getElementById('delete-rag-btn');
+    this.ragTestQueryInput = document.getElementById('rag-test-query-input');
+    this.ragTestQueryBtn = document.getElementById('rag-test-query-btn');
+    this.ragTestQuerySummary = document.getElementById('rag-test-query-summary');
+    this.ragTestQueryResults = document.getElementById('rag-test-query-results');
+    this.ragChunkSourceSelect = document.getElementById('rag-chunk-source-select');
+    this.ragChunkList = document.getElementById('rag-chunk-list');
+    this.ragChunkPrevBtn = document.getElementById('rag-chunk-prev-btn');
+    this.ragChunkNextBtn = document.getElementById('rag-chunk-next-btn');
+    this.ragChunkPage = document.getElementById('rag-chunk-page');
 
     // Recording elements
     this.startRecordingBtn = document.getElementById('start-recording');
@@ -89,6 +123,19 @@ class PredictiveSpeakingApp {
     this.processingStatus = document.getElementById('processing-status');
     this.transcriptDisplay = document.getElementById('transcript-display');
     this.transcriptText = document.getElementById('transcript-text');
+    this.savedVoices = document.getElementById('saved-voices');
+    this.savedVoicesDivider = document.getElementById('saved-voices-divider');
+    this.savedVoiceSelect = document.getElementById('saved-voice-select');
+    this.useSavedVoiceBtn = document.getElementById('use-saved-voice-btn');
+    this.renameSavedVoiceBtn = document.getElementById('rename-saved-voice-btn');
+    this.deleteSavedVoiceBtn = document.getElementById('delete-saved-voice-btn');
+    this.voiceNameInput = document.getElementById('voice-name-input');
+    this.qualityReport = document.getElementById('quality-report');
+    this.qualityVerdict = document.getElementById('quality-verdict');
+    this.qualityChecks = document.getElementById('quality-checks');
+    this.qualityActions = document.getElementById('quality-actions');
+    this.qualityContinueBtn = document.getElementById('quality-continue');
+    this.qualityRetryBtn = document.getElementById('quality-retry');
 
     // System elements
     this.toggleSystemBtn = document.getElementById('toggle-system');
@@ -250,7 +297,7 @@ class PredictiveSpeakingApp {
 
         // Send final transcript to server for prediction
         if (finalTranscript && finalTranscript.trim().length > 0) {
-          this.sendTranscript(finalTranscript.trim());
+          this.sendTranscript(finalTranscript.trim(), true);
         }
 
         // Also predict using interim results for faster response
@@ -340,7 +387,7 @@ class PredictiveSpeakingApp {
     elements.forEach(element => {
       const text = element.getAttribute(`data-lang-${lang}`);
       if (text) {
-        if (element.tagName === 'BUTTON' || element.tagName === 'SPAN' || element.tagName === 'P' || element.tagName === 'H2' || element.tagName === 'H3' || element.tagName === 'DIV' || element.tagName === 'LABEL') {
+        if (element.tagName === 'BUTTON' || element.tagName === 'SPAN' || element.tagName === 'P' || element.tagName === 'H2' || element.tagName === 'H3' || element.tagName === 'H4' || element.tagName === 'DIV' || element.tagName === 'LABEL' || element.tagName === 'SUMMARY') {
           element.innerHTML = text;
         } else if (element.tagName === 'OPTION') {
           element.textContent = text;
@@ -356,7 +403,53 @@ class PredictiveSpeakingApp {
     // Setup event listeners for RAG
     this.loadRagBtn.addEventListener('click', () => this.loadSelectedRagModel());
     this.createRagBtn.addEventListener('click', () => this.createNewRagModel());
+
+    // Upload documents to a knowledge folder (drop or click to choose)
+    this.ragUploadDropzone.addEventListener('click', () => this.ragUploadInput.click());
+    this.ragUploadDropzone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      this.ragUploadDropzone.classList.add('dragover');
+    });
+    this.ragUploadDropzone.addEventListener('dragleave', () => {
+      this.ragUploadDropzone.classList.remove('dragover');
+    });
+    this.ragUploadDropzone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      this.ragUploadDropzone.classList.remove('dragover');
+      this.addRagUploadFiles(event.dataTransfer.files);
+    });
+    this.ragUploadInput.addEventListener('change', () => {
+      this.addRagUploadFiles(this.ragUploadInput.files);
+      this.ragUploadInput.value = '';
+    });
+    this.uploadRagBtn.addEventListener('click', () => this.uploadRagFiles());
+    this.cancelRagBuildBtn.addEventListener('click', () => this.cancelRagBuild());
+    this.resumeRagBuildBtn.addEventListener('click', () => this.resumeRagBuild());
     this.skipModelBtn.addEventListener('click', () => this.skipModelSelection());
+    this.loadNgramBtn.addEventListener('click', () => this.loadNgramModel());
+
+    // Knowledge base inspection panel
+    this.ragInspector.addEventListener('toggle', () => {
+      if (this.ragInspector.open) this.loadRagChunks();
+    });
+    this.renameRagBtn.addEventListener('click', () => this.renameRagModel());
+    this.deleteRagBtn.addEventListener('click', () => this.deleteRagModel());
+    this.ragTestQueryBtn.addEventListener('click', () => this.runRagTestQuery());
+    this.ragTestQueryInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.runRagTestQuery();
+    });
+    this.ragChunkSourceSelect.addEventListener('change', () => {
+      this.ragChunkOffset = 0;
+      this.loadRagChunks();
+    });
+    this.ragChunkPrevBtn.addEventListener('click', () => {
+      this.ragChunkOffset = Math.max(0, this.ragChunkOffset - this.ragChunksPerPage);
+      this.loadRagChunks();
+    });
+    this.ragChunkNextBtn.addEventListener('click', () => {
+      this.ragChunkOffset += this.ragChunksPerPage;
+      this.loadRagChunks();
+    });
 
     // Load available models
     await this.loadAvailableRagModels();
@@ -365,7 +458,71 @@ class PredictiveSpeakingApp {
     // Enable/disable load button based on selection
     this.ragModelSelect.addEventListener('change', () => {
       this.loadRagBtn.disabled = !this.ragModelSelect.value;
+      this.resetRagInspector();
     });
+    this.ngramFolderSelect.addEventListener('change', () => {
+      this.loadNgramBtn.disabled = !this.ngramFolderSelect.value;
+    });
+  }
+
+  async loadNgramModel() {
+    const knowledgeFolder = this.ngramFolderSelect.value;
+    if (!knowledgeFolder) return;
+
+    try {
+      this.loadNgramBtn.disabled = true;
+      this.loadNgramBtn.textContent = this.language === 'ja' ? '構築中...' : 'Building...';
+
+      const response = await fetch('http://localhost:3000/api/ngram/load', {
+        method: 'POST',
+        headers: this.sessionHeaders(),
+        body: JSON.stringify({
+          knowledgeFolder,
+          language: this.language,
+          mode: this.ngramModeSelect.value
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        console.log('[N-gram] Model loaded:', data.model);
+
+        const model = data.model;
+        const modeText = data.mode === 'ngram'
+          ? (this.language === 'ja' ? 'N-gramのみ' : 'N-gram only')
+          : 'N-gram + LLM';
+        this.modelDetails.innerHTML = this.language === 'ja'
+          ? `
+            <p><strong>N-gramモデル名:</strong> ${model.modelName}</p>
+            <p><strong>モード:</strong> ${modeText}</p>
+            <p><strong>文数:</strong> ${model.totalSentences.toLocaleString()}</p>
+            <p><strong>トークン数:</strong> ${model.totalTokens.toLocaleString()}</p>
+          `
+          : `
+            <p><strong>N-gram Model Name:</strong> ${model.modelName}</p>
+            <p><strong>Mode:</strong> ${modeText}</p>
+            <p><strong>Sentences:</strong> ${model.totalSentences.toLocaleString()}</p>
+            <p><strong>Tokens:</strong> ${model.totalTokens.toLocaleString()}</p>
+          `;
+        this.modelInfo.style.display = 'block';
+
+        // Wait 1 second, then proceed to setup phase
+        setTimeout(() => {
+          this.proceedToSetup();
+        }, 1000);
+      } else {
+        throw new Error(data.message || data.error || 'Failed to load n-gram model');
+      }
+    } catch (error) {
+      console.error('[N-gram] Error loading model:', error);
+      const errorMsg = this.language === 'ja'
+        ? `N-gramモデルの構築に失敗しました: ${error.message}`
+        : `Failed to build n-gram model: ${error.message}`;
+      alert(errorMsg);
+      this.loadNgramBtn.disabled = false;
+      this.loadNgramBtn.textContent = this.language === 'ja' ? 'N-gramを読み込む' : 'Load N-gram';
+    }
   }
 
   skipModelSelection() {
@@ -393,7 +550,15 @@ class PredictiveSpeakingApp {
         data.models.forEach(model => {
           const option = document.createElement('option');
           option.value = model.filename;
-          option.textContent = `${model.name} (${model.language}, ${model.totalChunks} chunks, ${model.sizeKB} KB)`;
+          option.textContent = `${model.name} (${model.language}, ${model.totalChunks} chunks, ${model.embeddingModel || '?'} ${model.dimensions || '?'}d, ${model.sizeKB} KB)`;
+          // Built with another embedding deployment than the server uses
+          if (!model.embeddingCompatible) {
+            const mismatchText = this.language === 'ja' ? 'エンベディングモデル不一致' : 'embedding model mismatch';
+            option.textContent = `⚠ ${option.textContent} - ${mismatchText}`;
+          }
+          if (model.embeddingWarning) {
+            option.title = model.embeddingWarning;
+          }
           this.ragModelSelect.appendChild(option);
         });
 
@@ -412,6 +577,193 @@ class PredictiveSpeakingApp {
       const errorText = this.language === 'ja' ? 'RAGモデル読み込みエラー' : 'Error loading RAG models';
       this.ragModelSelect.innerHTML = `<option value="">${errorText}</option>`;
     }
+    this.resetRagInspector();
+  }
+
+  /**
+   * Show the inspection panel for the selected knowledge base (hidden when none is selected)
+   */
+  resetRagInspector() {
+    const filename = this.ragModelSelect.value;
+    this.ragInspector.style.display = filename ? 'block' : 'none';
+    this.ragChunkOffset = 0;
+    this.ragChunkSourceSelect.innerHTML = '';
+    this.ragChunkList.innerHTML = '';
+    this.ragChunkPage.textContent = '';
+    this.ragTestQuerySummary.textContent = '';
+    this.ragTestQueryResults.innerHTML = '';
+
+    if (filename && this.ragInspector.open) {
+      this.loadRagChunks();
+    }
+  }
+
+  /**
+   * Card for one chunk: "#index · file p.3 §Section" (with scores for test query results) and its text
+   */
+  createRagChunkElement(chunk, scores = '') {
+    const element = document.createElement('div');
+    element.className = 'rag-chunk';
+
+    const meta = document.createElement('div');
+    meta.className = 'rag-chunk-meta';
+    const location = this.formatSources([chunk]).replace(/^📄 /, '');
+    meta.textContent = [`#${chunk.index}`, location, scores].filter(Boolean).join(' · ');
+
+    const text = document.createElement('div');
+    text.className = 'rag-chunk-text';
+    text.textContent = chunk.text;
+
+    element.append(meta, text);
+    return element;
+  }
+
+  async loadRagChunks() {
+    const filename = this.ragModelSelect.value;
+    if (!filename) return;
+
+    const params = new URLSearchParams({ offset: this.ragChunkOffset, limit: this.ragChunksPerPage });
+    if (this.ragChunkSourceSelect.value) {
+      params.set('source', this.ragChunkSourceSelect.value);
+    }
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/rag-knowledge/${encodeURIComponent(filename)}/chunks?${params}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || data.error || 'Failed to read chunks');
+      }
+
+      // Source files, filled once per knowledge base
+      if (this.ragChunkSourceSelect.options.length === 0) {
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = this.language === 'ja'
+          ? `すべてのファイル（${data.totalChunks}チャンク）`
+          : `All files (${data.totalChunks} chunks)`;
+        this.ragChunkSourceSelect.appendChild(all);
+
+        data.sources.forEach(source => {
+          const option = document.createElement('option');
+          option.value = source.file;
+          const failed = source.failedChunks > 0 ? (this.language === 'ja' ? `、失敗${source.failedChunks}` : `, ${source.failedChunks} failed`) : '';
+          option.textContent = this.language === 'ja'
+            ? `${source.file}（${source.chunks}チャンク${failed}）`
+            : `${source.file} (${source.chunks} chunks${failed})`;
+          this.ragChunkSourceSelect.appendChild(option);
+        });
+      }
+
+      this.ragChunkList.innerHTML = '';
+      data.chunks.forEach(chunk => this.ragChunkList.appendChild(this.createRagChunkElement(chunk)));
+
+      const last = Math.min(data.offset + data.limit, data.total);
+      this.ragChunkPage.textContent = data.total > 0 ? `${data.offset + 1}–${last} / ${data.total}` : '0 / 0';
+      this.ragChunkPrevBtn.disabled = data.offset === 0;
+      this.ragChunkNextBtn.disabled = last >= data.total;
+    } catch (error) {
+      console.error('[RAG] Error loading chunks:', error);
+      this.ragChunkPage.textContent = error.message;
+    }
+  }
+
+  async runRagTestQuery() {
+    const filename = this.ragModelSelect.value;
+    const query = this.ragTestQueryInput.value.trim();
+    if (!filename || !query) return;
+
+    this.ragTestQueryBtn.disabled = true;
+    this.ragTestQuerySummary.textContent = this.language === 'ja' ? '検索中...' : 'Searching...';
+    this.ragTestQueryResults.innerHTML = '';
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/rag-knowledge/${encodeURIComponent(filename)}/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, topK: 5 })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || data.error || 'Test query failed');
+      }
+
+      // Prediction uses the knowledge only when the best chunk reaches the minimum score
+      const weights = `${data.vectorWeight.toFixed(2)} × vector + ${data.lexicalWeight.toFixed(2)} × keyword`;
+      this.ragTestQuerySummary.textContent = this.language === 'ja'
+        ? `${data.relevant ? '予測に使用されます' : '最低スコア未満のため予測には使用されません'}（最低スコア ${data.minScore}、スコア = ${weights}）`
+        : `${data.relevant ? 'Used for prediction' : 'Not used for prediction (below the minimum score)'} (minimum ${data.minScore}, score = ${weights})`;
+
+      data.results.forEach(result => {
+        const scores = this.language === 'ja'
+          ? `スコア ${result.score.toFixed(3)}（ベクトル ${result.vectorScore.toFixed(3)}、キーワード ${result.lexicalScore.toFixed(3)}）`
+          : `score ${result.score.toFixed(3)} (vector ${result.vectorScore.toFixed(3)}, keyword ${result.lexicalScore.toFixed(3)})`;
+        this.ragTestQueryResults.appendChild(this.createRagChunkElement(result, scores));
+      });
+    } catch (error) {
+      console.error('[RAG] Error running test query:', error);
+      this.ragTestQuerySummary.textContent = this.language === 'ja'
+        ? `テスト検索に失敗しました: ${error.message}`
+        : `Test query failed: ${error.message}`;
+    } finally {
+      this.ragTestQueryBtn.disabled = false;
+    }
+  }
+
+  async renameRagModel() {
+    const filename = this.ragModelSelect.value;
+    if (!filename) return;
+
+    const name = prompt(this.language === 'ja' ? '新しい名前を入力してください' : 'Enter a new name', filename.replace(/\.json$/, ''));
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/rag-knowledge/${encodeURIComponent(filename)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Rename failed');
+      }
+      await this.loadAvailableRagModels();
+      this.ragModelSelect.value = result.filename;
+      this.loadRagBtn.disabled = false;
+      this.resetRagInspector();
+    } catch (error) {
+      console.error('[RAG] Error renaming knowledge base:', error);
+      alert(error.message);
+    }
+  }
+
+  async deleteRagModel() {
+    const filename = this.ragModelSelect.value;
+    if (!filename) return;
+
+    const name = filename.replace(/\.json$/, '');
+    const confirmed = confirm(this.language === 'ja'
+      ? `RAG知識ベース「${name}」を削除しますか？（元の知識データフォルダは削除されません）`
+      : `Delete RAG knowledge base "${name}"? (The knowledge data folder is kept)`);
+    if (!confirmed) return;
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/rag-knowledge/${encodeURIComponent(filename)}`, {
+        method: 'DELETE'
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Delete failed');
+      }
+      this.loadRagBtn.disabled = true;
+      await this.loadAvailableRagModels();
+    } catch (error) {
+      console.error('[RAG] Error deleting knowledge base:', error);
+      alert(error.message);
+    }
   }
 
   async loadSelectedRagModel() {
@@ -424,7 +776,7 @@ class PredictiveSpeakingApp {
 
       const response = await fetch('http://localhost:3000/api/rag-knowledge/load', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.sessionHeaders(),
         body: JSON.stringify({ filename })
       });
 
@@ -441,7 +793,7 @@ class PredictiveSpeakingApp {
           this.proceedToSetup();
         }, 1000);
       } else {
-        throw new Error(data.error || 'Failed to load RAG model');
+        throw new Error(data.message || data.error || 'Failed to load RAG model');
       }
     } catch (error) {
       console.error('[RAG] Error loading model:', error);
@@ -462,12 +814,14 @@ class PredictiveSpeakingApp {
         <p><strong>言語:</strong> ${model.language}</p>
         <p><strong>総チャンク数:</strong> ${model.totalChunks.toLocaleString()}</p>
         <p><strong>平均チャンク長:</strong> ${Math.round(model.avgChunkLength)} 文字</p>
+        <p><strong>エンベディングモデル:</strong> ${model.embeddingModel} (${model.dimensions}次元)</p>
       `
       : `
         <p><strong>RAG Model Name:</strong> ${model.modelName}</p>
         <p><strong>Language:</strong> ${model.language}</p>
         <p><strong>Total Chunks:</strong> ${model.totalChunks.toLocaleString()}</p>
         <p><strong>Avg Chunk Length:</strong> ${Math.round(model.avgChunkLength)} chars</p>
+        <p><strong>Embedding Model:</strong> ${model.embeddingModel} (${model.dimensions} dimensions)</p>
       `;
 
     this.modelDetails.innerHTML = infoHTML;
@@ -479,45 +833,48 @@ class PredictiveSpeakingApp {
       const response = await fetch('http://localhost:3000/api/knowledge-folders');
       const data = await response.json();
 
-      // Clear existing options
-      this.ragKnowledgeFolderSelect.innerHTML = '';
-
-      if (data.folders && data.folders.length > 0) {
-        // Add placeholder option
-        const placeholderText = this.language === 'ja' ? 'フォルダを選択してください' : 'Select a folder';
-        const placeholder = document.createElement('option');
-        placeholder.value = '';
-        placeholder.textContent = placeholderText;
-        this.ragKnowledgeFolderSelect.appendChild(placeholder);
-
-        // Add folder options
-        data.folders.forEach(folder => {
+      // The same folders feed both the RAG builder and the n-gram model
+      for (const select of [this.ragKnowledgeFolderSelect, this.ngramFolderSelect]) {
+        // Clear existing options
+        select.innerHTML = '';
+
+        if (data.folders && data.folders.length > 0) {
+          // Add placeholder option
+          const placeholderText = this.language === 'ja' ? 'フォルダを選択してください' : 'Select a folder';
+          const placeholder = document.createElement('option');
+          placeholder.value = '';
+          placeholder.textContent = placeholderText;
+          select.appendChild(placeholder);
+
+          // Add folder options
+          data.folders.forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder.path;
+            option.textContent = folder.name;
+            select.appendChild(option);
+          });
+        } else {
+          // No folders available
+          const noFoldersText = this.language === 'ja' ? 'フォルダが見つかりません' : 'No folders found';
           const option = document.createElement('option');
-          option.value = folder.path;
-          option.textContent = folder.name;
-          this.ragKnowledgeFolderSelect.appendChild(option);
-        });
-
-        console.log(`[RAG] Loaded ${data.folders.length} knowledge folders`);
-      } else {
-        // No folders available
-        const noFoldersText = this.language === 'ja' ? 'フォルダが見つかりません' : 'No folders found';
-        const option = document.createElement('option');
-        option.value = '';
-        option.textContent = noFoldersText;
-        this.ragKnowledgeFolderSelect.appendChild(option);
-        console.log('[RAG] No knowledge folders available');
+          option.value = '';
+          option.textContent = noFoldersText;
+          select.appendChild(option);
+        }
       }
+
+      console.log(`[RAG] Loaded ${data.folders?.length || 0} knowledge folders`);
     } catch (error) {
       console.error('[RAG] Error loading knowledge folders:', error);
       const errorText = this.language === 'ja' ? 'フォルダ読み込みエラー' : 'Error loading folders';
       this.ragKnowledgeFolderSelect.innerHTML = `<option value="">${errorText}</option>`;
+      this.ngramFolderSelect.innerHTML = `<option value="">${errorText}</option>`;
     }
   }
 
   async createNewRagModel() {
     const knowledgeFolder = this.ragKnowledgeFolderSelect.value;
-    const language = this.ragModelLanguageSelect.value;
+    const language = this.ragModelLanguage.value;
 
     // Validate inputs
     if (!knowledgeFolder) {
@@ -531,64 +888,364 @@ class PredictiveSpeakingApp {
     // Extract folder name from path (e.g., "knowledge-data/my-folder" -> "my-folder")
     const modelName = knowledgeFolder.split('/').pop();
 
-    try {
-      // Disable button and show status
-      this.createRagBtn.disabled = true;
-      this.ragCreationStatus.style.display = 'flex';
+    // Comma-separated glob patterns (the server splits them, keeping {a,b} together)
+    const include = this.ragIncludePatterns.value.trim();
+    const exclude = this.ragExcludePatterns.value.trim();
 
-      console.log('[RAG] Building knowledge base:', { knowledgeFolder, modelName, language });
+    console.log('[RAG] Building knowledge base:', { knowledgeFolder, modelName, language, include, exclude });
 
-      const response = await fetch('http://localhost:3000/api/rag-knowledge/build', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          knowledgeFolder,
-          modelName,
-          language,
-          chunkSize: 500,
-          chunkOverlap: 50
-        })
+    await this.startRagBuild('http://localhost:3000/api/rag-knowledge/build', {
+      knowledgeFolder,
+      modelName,
+      language,
+      chunkSize: 500,
+      chunkOverlap: 50,
+      include,
+      exclude
+    });
+  }
+
+  /**
+   * Add dropped or chosen files to the upload list (same name replaces, unsupported types are refused)
+   */
+  addRagUploadFiles(fileList) {
+    const supported = this.ragUploadInput.accept.split(',');
+    const refused = [];
+
+    for (const file of fileList) {
+      const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+      if (!supported.includes(extension)) {
+        refused.push(file.name);
+        continue;
+      }
+      this.ragUploadFiles = this.ragUploadFiles.filter(existing => existing.name !== file.name);
+      this.ragUploadFiles.push(file);
+    }
+
+    if (refused.length > 0) {
+      alert(this.language === 'ja'
+        ? `対応していない形式のファイルは追加できません:\n${refused.join('\n')}`
+        : `Unsupported file types were not added:\n${refused.join('\n')}`);
+    }
+    this.renderRagUploadFiles();
+  }
+
+  renderRagUploadFiles() {
+    this.ragUploadFileList.innerHTML = '';
+
+    this.ragUploadFiles.forEach((file, index) => {
+      const row = document.createElement('div');
+      const name = document.createElement('span');
+      name.textContent = file.name;
+      const size = document.createElement('span');
+      size.textContent = `${(file.size / 1024).toFixed(1)} KB`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = this.language === 'ja' ? '取り除く' : 'Remove';
+      remove.addEventListener('click', () => {
+        this.ragUploadFiles.splice(index, 1);
+        this.renderRagUploadFiles();
       });
+      row.append(name, size, remove);
+      this.ragUploadFileList.appendChild(row);
+    });
 
-      const data = await response.json();
+    this.uploadRagBtn.disabled = this.ragUploadFiles.length === 0;
+  }
 
-      if (data.success) {
-        console.log('[RAG] Knowledge base built successfully');
+  async uploadRagFiles() {
+    // Upload into the named folder, or into the selected knowledge folder
+    const folder = this.ragUploadFolderName.value.trim() || this.ragKnowledgeFolderSelect.value.split('/').pop();
 
-        // Reload available models and auto-load the new one
-        await this.loadAvailableRagModels();
-        this.ragModelSelect.value = `${modelName}.json`;
+    if (this.ragUploadFiles.length === 0) return;
+    if (!folder) {
+      alert(this.language === 'ja'
+        ? 'アップロード先のフォルダ名を入力するか、知識データフォルダを選択してください'
+        : 'Please enter a folder name to upload to, or select a knowledge data folder');
+      return;
+    }
 
-        // Show success message
-        const successMsg = this.language === 'ja'
-          ? `RAG知識ベース「${modelName}」の作成に成功しました！自動的に読み込みます...`
-          : `RAG knowledge base "${modelName}" created successfully! Loading automatically...`;
-        alert(successMsg);
+    const form = new FormData();
+    form.append('folder', folder);
+    form.append('language', this.ragModelLanguage.value);
+    form.append('chunkSize', 500);
+    form.append('chunkOverlap', 50);
+    form.append('include', this.ragIncludePatterns.value.trim());
+    form.append('exclude', this.ragExcludePatterns.value.trim());
+    this.ragUploadFiles.forEach(file => form.append('files', file));
+
+    console.log(`[RAG] Uploading ${this.ragUploadFiles.length} files to knowledge-data/${folder}`);
+
+    this.uploadRagBtn.disabled = true;
+    const data = await this.startRagBuild('http://localhost:3000/api/knowledge-folders/upload', form);
+
+    if (data) {
+      this.ragUploadFiles = [];
+      this.ragUploadFolderName.value = '';
+      await this.loadKnowledgeFolders();
+      this.ragKnowledgeFolderSelect.value = data.folder;
+    }
+    this.renderRagUploadFiles();
+  }
 
-        // Auto-load the model
-        await this.loadSelectedRagModel();
-      } else {
+  /**
+   * Start (or resume) a background build; its progress arrives as 'build_progress' messages
+   * @param {Object|FormData} body - JSON parameters, or a multipart upload
+   * @returns {Promise<Object|null>} - The server's response, null if the build did not start
+   */
+  async startRagBuild(url, body = {}) {
+    try {
+      // Disable button and show status
+      this.createRagBtn.disabled = true;
+      this.resumeRagBuildBtn.style.display = 'none';
+      this.ragCreationStatus.style.display = 'flex';
+      this.ragBuildProgress.value = 0;
+      this.ragCreationStatusText.textContent = this.language === 'ja' ? '知識ベースを構築中...' : 'Building knowledge base...';
+
+      // The browser sets the multipart Content-Type (with its boundary) for FormData
+      const response = await fetch(url, body instanceof FormData
+        ? { method: 'POST', body: body }
+        : {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+
+      const data = await response.json();
+
+      if (!data.success) {
         throw new Error(data.message || data.error || 'RAG build failed');
       }
+
+      console.log(`[RAG] Build job started: ${data.jobId}`);
+      this.ragBuildJob = data.job;
+      this.updateRagBuildProgress(data.job);
+      return data;
     } catch (error) {
       console.error('[RAG] Error creating knowledge base:', error);
+      this.showRagBuildError(error.message);
+      return null;
+    }
+  }
 
-      // Show detailed error
-      const errorMsg = this.language === 'ja'
-        ? `RAG知識ベースの作成に失敗しました。\n\nエラー: ${error.message}\n\n【確認事項】\n- 知識データフォルダが存在するか\n- フォルダ内に対応ファイル(.txt, .pdf, .docx, .tex)があるか\n- フォルダパスが正しいか（例: knowledge-data）\n- Azure OpenAI APIキーが設定されているか`
-        : `Failed to create RAG knowledge base.\n\nError: ${error.message}\n\n【Check】\n- Knowledge data folder exists\n- Supported files (.txt, .pdf, .docx, .tex) are in the folder\n- Folder path is correct (e.g., knowledge-data)\n- Azure OpenAI API key is configured`;
+  /**
+   * Show the progress of our build job, and its result once it has finished
+   */
+  async updateRagBuildProgress(job) {
+    if (!this.ragBuildJob || job.id !== this.ragBuildJob.id) return;
+    this.ragBuildJob = job;
+
+    if (job.status === 'running') {
+      const phaseNames = this.language === 'ja'
+        ? { read: 'ファイル読み込み', chunk: 'チャンク分割', embed: 'エンベディング生成', save: '保存' }
+        : { read: 'Reading files', chunk: 'Chunking', embed: 'Creating embeddings', save: 'Saving' };
+      const phase = phaseNames[job.phase] || (this.language === 'ja' ? '開始中' : 'Starting');
+      const count = job.phase === 'embed' ? ` ${job.progress.done}/${job.progress.total}` : '';
+
+      this.ragCreationStatusText.textContent = `${phase}${count} (${job.percent}%)`;
+      this.ragBuildProgress.value = job.percent;
+      return;
+    }
 
-      alert(errorMsg);
+    this.ragCreationStatus.style.display = 'none';
+    this.createRagBtn.disabled = false;
+
+    if (job.status === 'cancelled') {
+      console.log('[RAG] Build cancelled');
+      this.resumeRagBuildBtn.style.display = 'inline-block';
+      return;
+    }
 
-      this.ragCreationStatus.style.display = 'none';
-      this.createRagBtn.disabled = false;
+    if (job.status === 'failed') {
+      this.resumeRagBuildBtn.style.display = 'inline-block';
+      this.showRagBuildError(job.error || 'RAG build failed');
+      return;
+    }
+
+    console.log('[RAG] Knowledge base built successfully');
+    this.ragBuildJob = null;
+
+    // Reload available models and auto-load the new one
+    await this.loadAvailableRagModels();
+    this.ragModelSelect.value = `${job.modelName}.json`;
+    this.resetRagInspector();
+
+    // Show success message (with what an incremental rebuild changed)
+    const summary = job.summary;
+    let changes = '';
+    if (summary && !summary.fullRebuild) {
+      changes = this.language === 'ja'
+        ? `\n\n追加: ${summary.added.length}件 / 更新: ${summary.updated.length}件 / 削除: ${summary.removed.length}件 / 変更なし: ${summary.unchanged}件`
+        : `\n\nAdded: ${summary.added.length} / Updated: ${summary.updated.length} / Removed: ${summary.removed.length} / Unchanged: ${summary.unchanged} files`;
+    }
+    // Files left out of the folder (unsupported type, excluded, ...) and files that could not be read
+    const leftOut = (summary?.files || []).filter(file => file.status === 'skipped' || file.status === 'unreadable');
+    if (leftOut.length > 0) {
+      const shown = leftOut.slice(0, 10).map(file => `- ${file.file}: ${file.reason}`).join('\n');
+      const more = leftOut.length > 10 ? `\n...${leftOut.length - 10}` : '';
+      changes += this.language === 'ja'
+        ? `\n\n読み込まなかったファイル: ${leftOut.length}件\n${shown}${more}`
+        : `\n\nFiles not read: ${leftOut.length}\n${shown}${more}`;
     }
+    const successMsg = this.language === 'ja'
+      ? `RAG知識ベース「${job.modelName}」の作成に成功しました！自動的に読み込みます...${changes}`
+      : `RAG knowledge base "${job.modelName}" created successfully! Loading automatically...${changes}`;
+    alert(successMsg);
+
+    // Auto-load the model
+    await this.loadSelectedRagModel();
+  }
+
+  async cancelRagBuild() {
+    if (!this.ragBuildJob) return;
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/rag-knowledge/jobs/${this.ragBuildJob.id}/cancel`, { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) {
+        console.warn('[RAG] Cancel failed:', data.message || data.error);
+      }
+    } catch (error) {
+      console.error('[RAG] Error cancelling build:', error);
+    }
+  }
+
+  async resumeRagBuild() {
+    if (!this.ragBuildJob) return;
+    await this.startRagBuild(`http://localhost:3000/api/rag-knowledge/jobs/${this.ragBuildJob.id}/resume`);
+  }
+
+  showRagBuildError(message) {
+    // Show detailed error
+    const errorMsg = this.language === 'ja'
+      ? `RAG知識ベースの作成に失敗しました。\n\nエラー: ${message}\n\n【確認事項】\n- 知識データフォルダが存在するか\n- フォルダ内に対応ファイル(.txt, .md, .pdf, .docx, .pptx, .tex, .html, .srt, .vtt, .csv)があるか\n- 読み込み・除外パターンで対象ファイルがすべて外れていないか\n- フォルダパスが正しいか（例: knowledge-data）\n- Azure OpenAI APIキーが設定されているか`
+      : `Failed to create RAG knowledge base.\n\nError: ${message}\n\n【Check】\n- Knowledge data folder exists\n- Supported files (.txt, .md, .pdf, .docx, .pptx, .tex, .html, .srt, .vtt, .csv) are in the folder\n- Include/exclude patterns do not leave out every file\n- Folder path is correct (e.g., knowledge-data)\n- Azure OpenAI API key is configured`;
+
+    alert(errorMsg);
+
+    this.ragCreationStatus.style.display = 'none';
+    this.createRagBtn.disabled = false;
   }
 
   proceedToSetup() {
     // Hide N-gram phase, show setup phase
     this.ngramPhase.style.display = 'none';
     this.setupPhase.style.display = 'block';
+    this.voiceNameInput.placeholder = this.language === 'ja' ? '音声の名前（省略可）' : 'Voice name (optional)';
+    this.loadSavedVoices();
+  }
+
+  async loadSavedVoices() {
+    try {
+      const response = await fetch('http://localhost:3000/api/voices');
+      const data = await response.json();
+
+      // Only voices recorded in the selected language are useful here
+      const voices = (data.voices || []).filter(voice => voice.language === this.language);
+
+      this.savedVoiceSelect.innerHTML = '';
+      voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.id;
+        const created = new Date(voice.createdAt).toLocaleDateString(this.language === 'ja' ? 'ja-JP' : 'en-US');
+        option.textContent = `${voice.name} (${voice.provider === 'qwen3' ? 'Qwen3-TTS' : 'Cartesia'}, ${created})`;
+        this.savedVoiceSelect.appendChild(option);
+      });
+
+      const hasVoices = voices.length > 0;
+      this.savedVoices.style.display = hasVoices ? 'block' : 'none';
+      this.savedVoicesDivider.style.display = hasVoices ? 'block' : 'none';
+      console.log(`[Voice Library] ${voices.length} saved voices for ${this.language}`);
+    } catch (error) {
+      console.error('[Voice Library] Error loading saved voices:', error);
+    }
+  }
+
+  async useSavedVoice() {
+    const voiceId = this.savedVoiceSelect.value;
+    if (!voiceId) return;
+
+    this.useSavedVoiceBtn.disabled = true;
+    this.processingStatus.style.display = 'flex';
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/voices/${voiceId}/select`, {
+        method: 'POST',
+        headers: this.sessionHeaders()
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Failed to use saved voice');
+      }
+
+      console.log('[Voice Library] Using saved voice:', result.profile);
+      this.processingStatus.style.display = 'none';
+      this.setupPhase.style.display = 'none';
+      this.mainPhase.style.display = 'block';
+    } catch (error) {
+      console.error('[Voice Library] Error using saved voice:', error);
+      this.processingStatus.style.display = 'none';
+      alert(this.language === 'ja'
+        ? `保存済みの音声を使用できませんでした: ${error.message}`
+        : `Could not use the saved voice: ${error.message}`);
+    } finally {
+      this.useSavedVoiceBtn.disabled = false;
+    }
+  }
+
+  async renameSavedVoice() {
+    const voiceId = this.savedVoiceSelect.value;
+    if (!voiceId) return;
+
+    const name = prompt(this.language === 'ja' ? '新しい名前を入力してください' : 'Enter a new name');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/voices/${voiceId}`, {
+        method: 'PATCH',
+        headers: this.sessionHeaders(),
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Rename failed');
+      }
+      await this.loadSavedVoices();
+      this.savedVoiceSelect.value = voiceId;
+    } catch (error) {
+      console.error('[Voice Library] Error renaming voice:', error);
+      alert(error.message);
+    }
+  }
+
+  async deleteSavedVoice() {
+    const voiceId = this.savedVoiceSelect.value;
+    if (!voiceId) return;
+
+    const name = this.savedVoiceSelect.selectedOptions[0].textContent;
+    const confirmed = confirm(this.language === 'ja'
+      ? `「${name}」を削除しますか？（Cartesiaの音声も削除されます）`
+      : `Delete "${name}"? (The Cartesia voice is deleted too)`);
+    if (!confirmed) return;
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/voices/${voiceId}`, {
+        method: 'DELETE',
+        headers: this.sessionHeaders()
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Delete failed');
+      }
+      await this.loadSavedVoices();
+    } catch (error) {
+      console.error('[Voice Library] Error deleting voice:', error);
+      alert(error.message);
+    }
   }
 
   initializeSpeechRecognition() {
@@ -643,9 +1300,7 @@ class PredictiveSpeakingApp {
           this.lastSpeechTimestamp = Date.now();
 
           // Cancel any currently playing audio when new speech is detected
-          if (this.currentAudioSource) {
-            this.currentAudioSource.stop();
-            this.currentAudioSource = null;
+          if (this.stopAudioPlayback()) {
             console.log('[Audio] Cancelled current audio due to new speech');
           }
 
@@ -664,10 +1319,12 @@ class PredictiveSpeakingApp {
           const text = finalTranscript.trim();
           // Only send if different from last predicted text (avoid duplicate)
           if (text !== this.lastPredictedText) {
-            this.sendTranscript(text);
+            this.sendTranscript(text, true);
             this.lastPredictedText = text;
           } else {
             console.log('[Prediction] Skipping duplicate final transcript:', text);
+            // Still tells the server the speaker paused, so it can play its pre-synthesized audio
+            this.sendSpeechPause(text);
           }
         }
         // Also predict using interim results for faster response
@@ -725,8 +1382,24 @@ class PredictiveSpeakingApp {
     };
   }
 
+  /**
+   * Headers for REST calls that act on this client's server-side session
+   */
+  sessionHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'X-Session-Id': this.sessionId || ''
+    };
+  }
+
   handleServerMessage(data) {
     switch (data.type) {
+      case 'session':
+        // Server-side session that owns our predictor history, knowledge base and voice
+        this.sessionId = data.sessionId;
+        console.log(`[WebSocket] Session ID: ${this.sessionId}`);
+        break;
+
       case 'started':
         // Capture ASR provider from server
         if (data.asrProvider) {
@@ -790,6 +1463,20 @@ class PredictiveSpeakingApp {
         this.playAudio(data);
         break;
 
+      case 'audio_chunk':
+        this.playAudioChunk(data);
+        break;
+
+      case 'build_progress':
+        this.updateRagBuildProgress(data.job);
+        break;
+
+      case 'audio_end':
+        if (this.audioStream && this.audioStream.id === data.streamId) {
+          console.log(`[Audio] Stream complete: "${data.word}" from ${data.provider}${data.fallback ? ' (fallback)' : ''} (${data.chunks} chunks)`);
+        }
+        break;
+
       case 'error':
         console.error('[Server Error]:', data.message);
         break;
@@ -813,14 +1500,24 @@ class PredictiveSpeakingApp {
     console.log('[Prediction Display] Received data:', {
       word: data.word,
       input: data.input,
-      hasInput: !!data.input
+      hasInput: !!data.input,
+      candidates: data.candidates
     });
 
+    // A provisional n-gram guess is replaced by the LLM prediction for the same input
+    const latest = this.predictionHistory[0];
+    if (latest && latest.provisional && latest.input === data.input) {
+      this.predictionHistory.shift();
+    }
+
     // Add to history array (keep only last 3)
     const noInputText = this.language === 'ja' ? '(入力なし)' : '(No input)';
     this.predictionHistory.unshift({
       word: data.word,
       input: data.input || noInputText,  // Input text that triggered prediction
+      candidates: data.candidates || [],  // Ranked alternatives considered by the model
+      sources: data.sources || [],        // Knowledge chunks behind a RAG prediction
+      provisional: !!data.provisional,
       timestamp: timestamp
     });
 
@@ -839,21 +1536,67 @@ class PredictiveSpeakingApp {
       const timestampSpan = item.querySelector('.prediction-timestamp');
       const inputSpan = item.querySelector('.prediction-input');
       const wordSpan = item.querySelector('.prediction-word');
+      const candidatesSpan = item.querySelector('.prediction-candidates');
+      const sourcesSpan = item.querySelector('.prediction-sources');
 
       if (this.predictionHistory[index]) {
         timestampSpan.textContent = this.predictionHistory[index].timestamp;
         inputSpan.textContent = this.predictionHistory[index].input;
         wordSpan.textContent = this.predictionHistory[index].word;
+        candidatesSpan.textContent = this.formatCandidates(this.predictionHistory[index].candidates);
+        sourcesSpan.textContent = this.formatSources(this.predictionHistory[index].sources);
+        sourcesSpan.title = this.predictionHistory[index].sources.map(s => s.text).join('\n\n');
         item.style.opacity = '1';
       } else {
         timestampSpan.textContent = '--:--:--';
         inputSpan.textContent = '-';
         wordSpan.textContent = '-';
+        candidatesSpan.textContent = '';
+        sourcesSpan.textContent = '';
+        sourcesSpan.title = '';
         item.style.opacity = '0.3';
       }
     });
   }
 
+  /**
+   * Format the documents behind a RAG prediction as "📄 file p.3 · file §Section ..."
+   * (chunks from knowledge bases built without provenance are left out)
+   */
+  formatSources(sources) {
+    const labels = [];
+
+    for (const source of sources || []) {
+      if (!source.source) continue;
+
+      let label = source.source;
+      if (source.page) {
+        label += this.language === 'ja' ? ` ${source.page}ページ` : ` p.${source.page}`;
+      } else if (source.section) {
+        label += ` §${source.section}`;
+      }
+
+      if (!labels.includes(label)) {
+        labels.push(label);
+      }
+    }
+
+    return labels.length > 0 ? `📄 ${labels.join(' · ')}` : '';
+  }
+
+  /**
+   * Format ranked candidates as "word (score) · word (score) ..."
+   */
+  formatCandidates(candidates) {
+    if (!candidates || candidates.length === 0) {
+      return '';
+    }
+
+    return candidates
+      .map(candidate => `${candidate.word} (${Number(candidate.score).toFixed(2)})`)
+      .join(' · ');
+  }
+
   async playAudio(data) {
     try {
       // Capture current sequence ID
@@ -872,21 +1615,14 @@ class PredictiveSpeakingApp {
       }
 
       // Decode base64 audio
-      const audioData = atob(data.audio);
+      const arrayBuffer = this.base64ToArrayBuffer(data.audio);
 
       // Check if audio data is empty
-      if (audioData.length === 0) {
+      if (arrayBuffer.byteLength === 0) {
         console.warn(`[Audio] Empty audio data received for word: "${data.word}"`);
         return;
       }
 
-      const arrayBuffer = new ArrayBuffer(audioData.length);
-      const view = new Uint8Array(arrayBuffer);
-
-      for (let i = 0; i < audioData.length; i++) {
-        view[i] = audioData.charCodeAt(i);
-      }
-
       // Convert PCM to AudioBuffer
       const audioBuffer = this.pcmToAudioBuffer(arrayBuffer, data.sampleRate || 44100);
 
@@ -897,9 +1633,7 @@ class PredictiveSpeakingApp {
       }
 
       // Stop any currently playing audio
-      if (this.currentAudioSource) {
-        this.currentAudioSource.stop();
-      }
+      this.stopAudioPlayback();
 
       // Play audio
       const source = this.audioContext.createBufferSource();
@@ -918,13 +1652,120 @@ class PredictiveSpeakingApp {
 
       source.start(0);
 
-      console.log(`[Audio] Playing: "${data.word}" (sequence ${currentSequenceId})`);
+      console.log(`[Audio] Playing: "${data.word}" from ${data.provider || 'unknown'}${data.fallback ? ' (fallback)' : ''}${data.speculative ? ' (pre-synthesized)' : ''} (sequence ${currentSequenceId})`);
 
     } catch (error) {
       console.error('[Audio] Playback error:', error);
     }
   }
 
+  /**
+   * Play one chunk of a streamed clip
+   * Chunks of the same stream are scheduled back to back on the AudioContext clock,
+   * so playback starts with the first chunk and continues without gaps
+   */
+  playAudioChunk(data) {
+    try {
+      let stream = this.audioStream;
+
+      if (!stream || stream.id !== data.streamId) {
+        // Chunks of an already cancelled stream keep arriving until the server notices
+        if (data.index > 0) {
+          return;
+        }
+
+        // First chunk of a new stream: same staleness rules as whole clips
+        const timeSinceLastSpeech = Date.now() - this.lastSpeechTimestamp;
+        if (timeSinceLastSpeech > this.audioPlaybackTimeout) {
+          console.log(`[Audio] Skipping stale audio stream for "${data.word}" (${timeSinceLastSpeech}ms since last speech)`);
+          return;
+        }
+
+        if (!this.audioContext) {
+          this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        this.stopAudioPlayback();
+        stream = {
+          id: data.streamId,
+          sequenceId: this.audioSequenceId,
+          nextStartTime: 0,
+          sources: []
+        };
+        this.audioStream = stream;
+        console.log(`[Audio] Streaming: "${data.word}" from ${data.provider || 'unknown'} (sequence ${stream.sequenceId})`);
+      }
+
+      // New speech since the stream started: drop the rest of it
+      if (stream.sequenceId !== this.audioSequenceId) {
+        return;
+      }
+
+      const arrayBuffer = this.base64ToArrayBuffer(data.audio);
+      if (arrayBuffer.byteLength === 0) {
+        return;
+      }
+
+      const audioBuffer = this.pcmToAudioBuffer(arrayBuffer, data.sampleRate || 22050);
+      const source = this.audioContext.createBufferSource();
+      source.buffer = audioBuffer;
+      source.connect(this.audioContext.destination);
+
+      // Start right after the previous chunk, or now if playback has caught up (underrun)
+      const startTime = Math.max(stream.nextStartTime, this.audioContext.currentTime);
+      source.start(startTime);
+      stream.nextStartTime = startTime + audioBuffer.duration;
+
+      stream.sources.push(source);
+      source.onended = () => {
+        const index = stream.sources.indexOf(source);
+        if (index !== -1) {
+          stream.sources.splice(index, 1);
+        }
+      };
+
+    } catch (error) {
+      console.error('[Audio] Chunk playback error:', error);
+    }
+  }
+
+  /**
+   * Stop the playing clip and all scheduled stream chunks
+   * @returns {boolean} - True if something was playing
+   */
+  stopAudioPlayback() {
+    let stopped = false;
+
+    if (this.currentAudioSource) {
+      this.currentAudioSource.stop();
+      this.currentAudioSource = null;
+      stopped = true;
+    }
+
+    if (this.audioStream) {
+      for (const source of this.audioStream.sources) {
+        source.stop();
+        stopped = true;
+      }
+      this.audioStream.sources = [];
+      this.audioStream.sequenceId = -1; // Ignore the stream's remaining chunks
+    }
+
+    return stopped;
+  }
+
+  base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const arrayBuffer = new ArrayBuffer(binary.length);
+    const view = new Uint8Array(arrayBuffer);
+
+    for (let i = 0; i < binary.length; i++) {
+      view[i] = binary.charCodeAt(i);
+    }
+
+    return arrayBuffer;
+  }
+
   pcmToAudioBuffer(arrayBuffer, sampleRate) {
     const pcmData = new Int16Array(arrayBuffer);
     const audioBuffer = this.audioContext.createBuffer(1, pcmData.length, sampleRate);
@@ -942,6 +1783,11 @@ class PredictiveSpeakingApp {
     // Setup phase
     this.startRecordingBtn.addEventListener('click', () => this.startRecording());
     this.stopRecordingBtn.addEventListener('click', () => this.stopRecording());
+    this.useSavedVoiceBtn.addEventListener('click', () => this.useSavedVoice());
+    this.renameSavedVoiceBtn.addEventListener('click', () => this.renameSavedVoice());
+    this.deleteSavedVoiceBtn.addEventListener('click', () => this.deleteSavedVoice());
+    this.qualityContinueBtn.addEventListener('click', () => this.resolveQualityDecision(true));
+    this.qualityRetryBtn.addEventListener('click', () => this.resolveQualityDecision(false));
 
     // Main phase
     this.toggleSystemBtn.addEventListener('click', () => this.toggleSystem());
@@ -953,6 +1799,7 @@ class PredictiveSpeakingApp {
       // Reset transcript before starting
       this.currentTranscript = '';
       console.log('[Recording] Reset currentTranscript');
+      this.qualityReport.style.display = 'none';
 
       // Get microphone access
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -1056,16 +1903,28 @@ class PredictiveSpeakingApp {
 
           // Note: Empty transcript is OK - server will use GPT-4o to transcribe
 
+          // Check the recording before any clone credits are spent
+          const quality = await this.checkVoiceQuality(audioData);
+          const proceed = await this.confirmVoiceQuality(quality);
+          if (!proceed) {
+            console.log('[Voice Cloning] Recording rejected, waiting for a new recording');
+            this.resetRecordingUI();
+            this.currentTranscript = '';
+            return;
+          }
+          this.processingStatus.style.display = 'flex';
+
           console.log('[Voice Cloning] Sending request to server...');
 
           // Send to server for voice cloning
           const response = await fetch('http://localhost:3000/api/clone-voice', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: this.sessionHeaders(),
             body: JSON.stringify({
               audioData: audioData,
               transcript: transcript,
-              language: this.language
+              language: this.language,
+              voiceName: this.voiceNameInput.value.trim()
             })
           });
 
@@ -1118,6 +1977,113 @@ class PredictiveSpeakingApp {
     }
   }
 
+  /**
+   * Ask the server to analyse the recording (level, clipping, noise, speech duration)
+   * @returns {Promise<Object|null>} - Quality report, null if the check could not run
+   */
+  async checkVoiceQuality(audioData) {
+    try {
+      const response = await fetch('http://localhost:3000/api/clone-voice/analyze', {
+        method: 'POST',
+        headers: this.sessionHeaders(),
+        body: JSON.stringify({ audioData: audioData })
+      });
+      const result = await response.json();
+      console.log('[Voice Quality] Report:', result.quality);
+      return result.success ? result.quality : null;
+    } catch (error) {
+      console.error('[Voice Quality] Check failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Show the quality report and decide whether to clone
+   * pass: continue automatically, warn: let the user choose, fail: record again
+   * @returns {Promise<boolean>} - True to continue with cloning
+   */
+  confirmVoiceQuality(quality) {
+    // The check could not run (e.g. no ffmpeg on the server): don't block cloning
+    if (!quality || !quality.analyzed) {
+      return Promise.resolve(true);
+    }
+
+    this.renderQualityReport(quality);
+
+    if (quality.verdict === 'pass') {
+      return Promise.resolve(true);
+    }
+
+    this.processingStatus.style.display = 'none';
+    this.qualityActions.style.display = 'flex';
+    this.qualityContinueBtn.style.display = quality.verdict === 'warn' ? 'inline-block' : 'none';
+
+    return new Promise(resolve => {
+      this.qualityDecision = resolve;
+    });
+  }
+
+  resolveQualityDecision(proceed) {
+    this.qualityActions.style.display = 'none';
+    if (this.qualityDecision) {
+      this.qualityDecision(proceed);
+      this.qualityDecision = null;
+    }
+  }
+
+  renderQualityReport(quality) {
+    const ja = this.language === 'ja';
+    const verdictText = {
+      pass: ja ? '✅ 良好な録音です' : '✅ Good recording',
+      warn: ja ? '⚠️ 登録できますが、録り直すと品質が上がる可能性があります' : '⚠️ Usable, but recording again may give a better voice',
+      fail: ja ? '❌ この録音では音声クローンを作成できません。録り直してください' : '❌ This recording cannot be used for cloning. Please record again'
+    };
+    const statusIcon = { pass: '✅', warn: '⚠️', fail: '❌', unknown: '❔' };
+
+    this.qualityVerdict.textContent = verdictText[quality.verdict];
+    this.qualityVerdict.className = `quality-verdict ${quality.verdict}`;
+
+    this.qualityChecks.innerHTML = '';
+    quality.checks.forEach(check => {
+      const item = document.createElement('li');
+      item.textContent = `${statusIcon[check.status]} ${this.formatQualityCheck(check, quality.metrics)}`;
+      item.title = check.message;
+      this.qualityChecks.appendChild(item);
+    });
+
+    this.qualityReport.style.display = 'block';
+  }
+
+  formatQualityCheck(check, metrics) {
+    const ja = this.language === 'ja';
+
+    switch (check.metric) {
+      case 'speechDurationSec':
+        return ja
+          ? `発話時間: ${metrics.speechDurationSec}秒（録音 ${metrics.durationSec}秒）`
+          : `Speech: ${metrics.speechDurationSec}s (of ${metrics.durationSec}s recorded)`;
+      case 'rmsDb':
+        return ja
+          ? `音量: ${metrics.rmsDb ?? '-'} dBFS（ピーク ${metrics.peakDb ?? '-'} dBFS）`
+          : `Level: ${metrics.rmsDb ?? '-'} dBFS (peak ${metrics.peakDb ?? '-'} dBFS)`;
+      case 'clippingRatio':
+        return ja
+          ? `音割れ: ${(metrics.clippingRatio * 100).toFixed(2)}%`
+          : `Clipping: ${(metrics.clippingRatio * 100).toFixed(2)}%`;
+      case 'snrDb':
+        if (metrics.snrDb === null) {
+          return ja
+            ? 'S/N比: 測定できません（話していない区間がありません）'
+            : 'SNR: not measurable (no pause in the recording)';
+        }
+        return ja
+          ? `S/N比: ${metrics.snrDb} dB（ノイズ ${metrics.noiseFloorDb} dBFS）`
+          : `SNR: ${metrics.snrDb} dB (noise floor ${metrics.noiseFloorDb} dBFS)`;
+      default:
+        return check.message;
+    }
+  }
+
   toggleSystem() {
     if (this.isSystemActive) {
       this.stopSystem();
@@ -1202,7 +2168,10 @@ class PredictiveSpeakingApp {
       this.stopSystem();
 
       // Reset server
-      await fetch('http://localhost:3000/api/reset', { method: 'POST' });
+      await fetch('http://localhost:3000/api/reset', {
+        method: 'POST',
+        headers: this.sessionHeaders()
+      });
 
       // Reset UI
       this.currentTranscript = '';
@@ -1220,12 +2189,18 @@ class PredictiveSpeakingApp {
       this.setupPhase.style.display = 'block';
       this.startRecordingBtn.style.display = 'block';
       this.transcriptDisplay.style.display = 'none';
+      this.qualityReport.style.display = 'none';
+      this.loadSavedVoices();
 
       console.log('[System] Reset');
     }
   }
 
-  sendTranscript(text) {
+  /**
+   * @param {string} text - Recognized text
+   * @param {boolean} isFinal - True for final ASR results (the speaker paused)
+   */
+  sendTranscript(text, isFinal = false) {
     // Don't send empty or whitespace-only text
     if (!text || text.trim().length === 0) {
       console.log('[sendTranscript] Skipping empty text');
@@ -1235,6 +2210,16 @@ class PredictiveSpeakingApp {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify({
         type: 'transcript',
+        text: text,
+        isFinal: isFinal
+      }));
+    }
+  }
+
+  sendSpeechPause(text) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({
+        type: 'speech_pause',
         text: text
       }));
     }